@@ -0,0 +1,77 @@
+// Verifies the Firebase Auth ID token the app sends as "Authorization: Bearer <token>"
+// The RS256 signature is checked against Google's published certificates, then the project,
+// issuer and expiry. Tokens from the Auth emulator (FIREBASE_AUTH_EMULATOR_HOST) are unsigned
+// and only decoded.
+
+const crypto = require('crypto');
+const { PROJECT_ID } = require('./_firestore');
+
+const CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+// Tolerated clock difference between Google and this function
+const CLOCK_SKEW_SECONDS = 300;
+
+let cachedCerts = null;
+
+async function publicCerts() {
+    if (cachedCerts && cachedCerts.expiresAt > Date.now()) return cachedCerts.certs;
+    const response = await fetch(CERTS_URL);
+    if (!response.ok) {
+        const error = new Error('Could not load token certificates');
+        error.status = response.status;
+        error.details = await response.text();
+        throw error;
+    }
+    const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+    cachedCerts = {
+        certs: await response.json(),
+        expiresAt: Date.now() + (maxAge ? Number(maxAge[1]) * 1000 : 3600000)
+    };
+    return cachedCerts.certs;
+}
+
+function unauthenticated(message) {
+    const error = new Error(message);
+    error.code = 'unauthenticated';
+    return error;
+}
+
+function bearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    return match ? match[1] : null;
+}
+
+// -> { uid, email }
+async function verifyIdToken(token) {
+    const parts = (token || '').split('.');
+    if (parts.length !== 3) throw unauthenticated('Malformed token');
+
+    let header;
+    let claims;
+    try {
+        header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+        claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+        throw unauthenticated('Malformed token');
+    }
+
+    if (!process.env.FIREBASE_AUTH_EMULATOR_HOST) {
+        const certs = await publicCerts();
+        const cert = header.alg === 'RS256' ? certs[header.kid] : null;
+        if (!cert) throw unauthenticated('Unknown signing key');
+        const valid = crypto.createVerify('RSA-SHA256')
+            .update(`${parts[0]}.${parts[1]}`)
+            .verify(cert, Buffer.from(parts[2], 'base64url'));
+        if (!valid) throw unauthenticated('Invalid signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (claims.aud !== PROJECT_ID || claims.iss !== `https://securetoken.google.com/${PROJECT_ID}`) {
+        throw unauthenticated('Token belongs to another project');
+    }
+    if (!claims.sub || !(claims.exp > now) || claims.iat > now + CLOCK_SKEW_SECONDS) {
+        throw unauthenticated('Token expired');
+    }
+    return { uid: claims.sub, email: claims.email || null };
+}
+
+module.exports = { verifyIdToken, bearerToken };
@@ -0,0 +1,44 @@
+// Anthropic Messages API client for server routes
+
+const MODEL = 'claude-sonnet-4-20250514';
+
+// body: { system, messages, tools?, max_tokens? } -> the API's response object
+async function requestClaude(apiKey, body) {
+    const response = await fetch('https://api.anthropic.com/v1/messages', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': apiKey,
+            'anthropic-version': '2023-06-01'
+        },
+        body: JSON.stringify({ model: MODEL, max_tokens: 4096, ...body })
+    });
+
+    if (!response.ok) {
+        const error = new Error('API error');
+        error.status = response.status;
+        error.details = await response.text();
+        throw error;
+    }
+    return response.json();
+}
+
+function responseText(data) {
+    const textContent = data.content.find(c => c.type === 'text');
+    return textContent ? textContent.text : null;
+}
+
+function parseModelJson(text) {
+    try {
+        let jsonText = text.trim();
+        // Remove markdown code blocks if present
+        if (jsonText.startsWith('```')) {
+            jsonText = jsonText.replace(/```json?\n?/g, '').replace(/```\s*$/g, '').trim();
+        }
+        return JSON.parse(jsonText);
+    } catch (parseError) {
+        return undefined;
+    }
+}
+
+module.exports = { requestClaude, responseText, parseModelJson };
@@ -0,0 +1,61 @@
+// Discharge figures for server routes (shared status page, fleet search)
+// Same figures as the Summary, Daily Log and Cargo Totals sheets of the discharge report in
+// index.html: manifest from cargoBreakdown, discharged from the shifts and the daily log.
+
+function normalizeCargoType(type) {
+    return (type || '').toString().trim().toLowerCase();
+}
+
+function dischargeProgress(ship) {
+    const data = ship.dischargeData || {};
+    const shifts = data.shifts || [];
+    const breakdown = ship.cargoBreakdown || [];
+    const manifest = breakdown.length > 0
+        ? breakdown.reduce((sum, c) => sum + (Number(c.weight) || 0), 0)
+        : Number(ship.cargoWeight) || 0;
+    const discharged = data.totalDischarged || shifts.reduce((sum, s) => sum + (Number(s.shiftTotalWeight) || 0), 0);
+
+    const types = new Map();
+    const type = name => {
+        const key = normalizeCargoType(name) || '-';
+        if (!types.has(key)) types.set(key, { type: name || '-', manifest: 0, discharged: 0, units: 0 });
+        return types.get(key);
+    };
+    breakdown.forEach(c => { type(c.type).manifest += Number(c.weight) || 0; });
+    shifts.forEach(shift => (shift.cargoMoved || []).forEach(c => {
+        const entry = type(c.type);
+        entry.discharged += Number(c.weight) || 0;
+        entry.units += Number(c.quantity) || 0;
+    }));
+
+    const days = {};
+    const day = date => (days[date] ??= { date, shifts: 0, units: 0, weight: 0 });
+    shifts.forEach(shift => {
+        const entry = day(shift.date || '-');
+        entry.shifts++;
+        entry.units += Number(shift.shiftTotalQuantity) || 0;
+        entry.weight += Number(shift.shiftTotalWeight) || 0;
+    });
+    (data.dailyLog || []).forEach(log => {
+        const entry = day(log.date || '-');
+        entry.shifts += log.shifts?.length || 0;
+        entry.units += Number(log.quantity) || 0;
+        entry.weight += Number(log.weight) || 0;
+    });
+    let cumulative = 0;
+    const dailyLog = Object.keys(days).sort().map(date => {
+        cumulative += days[date].weight;
+        return { ...days[date], cumulative };
+    });
+
+    return {
+        manifest,
+        discharged,
+        remaining: Math.max(0, manifest - discharged),
+        percent: manifest > 0 ? Math.min(100, Math.round(discharged / manifest * 1000) / 10) : null,
+        cargo: [...types.values()],
+        dailyLog
+    };
+}
+
+module.exports = { dischargeProgress, normalizeCargoType };
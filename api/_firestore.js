@@ -0,0 +1,171 @@
+// Minimal Firestore REST client for server routes
+// Authenticates as the service account in FIREBASE_SERVICE_ACCOUNT (JSON key), which bypasses
+// security rules - routes using it must do their own access checks.
+// With FIRESTORE_EMULATOR_HOST set (e.g. "localhost:8080") it talks to the local emulator instead.
+
+const crypto = require('crypto');
+
+const PROJECT_ID = process.env.FIREBASE_PROJECT_ID || 'shipux-a0d3a';
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const SCOPE = 'https://www.googleapis.com/auth/datastore';
+
+let cachedToken = null;
+
+function baseUrl() {
+    const host = process.env.FIRESTORE_EMULATOR_HOST;
+    const root = host ? `http://${host}` : 'https://firestore.googleapis.com';
+    return `${root}/v1/projects/${PROJECT_ID}/databases/(default)/documents`;
+}
+
+function base64Url(value) {
+    return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+async function accessToken() {
+    // The emulator accepts this fixed token as an admin credential
+    if (process.env.FIRESTORE_EMULATOR_HOST) return 'owner';
+    if (cachedToken && cachedToken.expiresAt > Date.now() + 60000) return cachedToken.token;
+
+    if (!process.env.FIREBASE_SERVICE_ACCOUNT) {
+        const error = new Error('Firebase service account not configured');
+        error.code = 'not-configured';
+        throw error;
+    }
+    const account = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+    const claims = base64Url(JSON.stringify({
+        iss: account.client_email,
+        scope: SCOPE,
+        aud: TOKEN_URL,
+        iat: now,
+        exp: now + 3600
+    }));
+    const signature = crypto.createSign('RSA-SHA256').update(`${header}.${claims}`).sign(account.private_key);
+    const assertion = `${header}.${claims}.${base64Url(signature)}`;
+
+    const response = await fetch(TOKEN_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: `grant_type=${encodeURIComponent('urn:ietf:params:oauth:grant-type:jwt-bearer')}&assertion=${assertion}`
+    });
+    if (!response.ok) {
+        const error = new Error('Service account token request failed');
+        error.status = response.status;
+        error.details = await response.text();
+        throw error;
+    }
+    const data = await response.json();
+    cachedToken = { token: data.access_token, expiresAt: Date.now() + data.expires_in * 1000 };
+    return cachedToken.token;
+}
+
+async function request(path, options = {}) {
+    const response = await fetch(`${baseUrl()}${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${await accessToken()}`,
+            ...(options.headers || {})
+        }
+    });
+    if (!response.ok) {
+        const error = new Error(`Firestore request failed: ${path}`);
+        error.status = response.status;
+        error.details = await response.text();
+        throw error;
+    }
+    return response.json();
+}
+
+// ==================== Value encoding ====================
+function encodeValue(value) {
+    if (value === null || value === undefined) return { nullValue: null };
+    if (typeof value === 'boolean') return { booleanValue: value };
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? { integerValue: String(value) } : { doubleValue: value };
+    }
+    if (typeof value === 'string') return { stringValue: value };
+    if (value instanceof Date) return { timestampValue: value.toISOString() };
+    if (Array.isArray(value)) return { arrayValue: { values: value.map(encodeValue) } };
+    return { mapValue: { fields: encodeFields(value) } };
+}
+
+function encodeFields(object) {
+    const fields = {};
+    Object.entries(object).forEach(([key, value]) => {
+        if (value !== undefined) fields[key] = encodeValue(value);
+    });
+    return fields;
+}
+
+function decodeValue(value) {
+    if ('nullValue' in value) return null;
+    if ('booleanValue' in value) return value.booleanValue;
+    if ('integerValue' in value) return Number(value.integerValue);
+    if ('doubleValue' in value) return value.doubleValue;
+    if ('stringValue' in value) return value.stringValue;
+    if ('timestampValue' in value) return value.timestampValue;
+    if ('arrayValue' in value) return (value.arrayValue.values || []).map(decodeValue);
+    if ('mapValue' in value) return decodeFields(value.mapValue.fields || {});
+    return null;
+}
+
+function decodeFields(fields) {
+    const object = {};
+    Object.entries(fields || {}).forEach(([key, value]) => {
+        object[key] = decodeValue(value);
+    });
+    return object;
+}
+
+function decodeDocument(doc) {
+    return { id: doc.name.split('/').pop(), ...decodeFields(doc.fields) };
+}
+
+// ==================== Documents ====================
+// fields: optional field mask, keeps the response small for large collections
+async function listDocuments(collection, fields = []) {
+    const docs = [];
+    let pageToken = '';
+    do {
+        const params = new URLSearchParams({ pageSize: '300' });
+        fields.forEach(field => params.append('mask.fieldPaths', field));
+        if (pageToken) params.set('pageToken', pageToken);
+        const data = await request(`/${collection}?${params}`);
+        (data.documents || []).forEach(doc => docs.push(decodeDocument(doc)));
+        pageToken = data.nextPageToken || '';
+    } while (pageToken);
+    return docs;
+}
+
+async function getDocument(collection, id) {
+    try {
+        return decodeDocument(await request(`/${collection}/${encodeURIComponent(id)}`));
+    } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+    }
+}
+
+// Creates or replaces the document - ids are chosen by the caller so retries stay idempotent
+async function setDocument(collection, id, data) {
+    const doc = await request(`/${collection}/${encodeURIComponent(id)}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ fields: encodeFields(data) })
+    });
+    return decodeDocument(doc);
+}
+
+// Writes only the given top-level fields and leaves the rest of the document alone
+async function updateDocument(collection, id, data) {
+    const params = new URLSearchParams();
+    Object.keys(data).forEach(field => params.append('updateMask.fieldPaths', field));
+    const doc = await request(`/${collection}/${encodeURIComponent(id)}?${params}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ fields: encodeFields(data) })
+    });
+    return decodeDocument(doc);
+}
+
+module.exports = { PROJECT_ID, listDocuments, getDocument, setDocument, updateDocument, encodeFields, decodeFields };
@@ -0,0 +1,186 @@
+// RFC 822 / MIME message parser for inbound .eml files
+// Handles nested multipart bodies, base64 and quoted-printable transfer encodings,
+// RFC 2047 encoded-word headers and RFC 2231 file names. The raw message is kept as a
+// latin1 string so every byte survives until a part is decoded with its own charset.
+
+function decodeCharset(buffer, charset) {
+    const label = (charset || 'utf-8').toLowerCase().replace(/^"|"$/g, '');
+    try {
+        return new TextDecoder(label).decode(buffer);
+    } catch (error) {
+        return buffer.toString('utf8');
+    }
+}
+
+function decodeQuotedPrintable(text) {
+    const bytes = [];
+    const source = text.replace(/=\r?\n/g, '');
+    for (let i = 0; i < source.length; i++) {
+        if (source[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(source.substr(i + 1, 2))) {
+            bytes.push(parseInt(source.substr(i + 1, 2), 16));
+            i += 2;
+        } else {
+            bytes.push(source.charCodeAt(i) & 0xff);
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// =?charset?B|Q?text?= - adjacent encoded words are joined without the whitespace between them
+function decodeHeaderValue(value) {
+    return value
+        .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+        .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+            const buffer = encoding.toUpperCase() === 'B'
+                ? Buffer.from(text, 'base64')
+                : decodeQuotedPrintable(text.replace(/_/g, ' '));
+            return decodeCharset(buffer, charset);
+        });
+}
+
+function parseHeaders(block) {
+    const headers = {};
+    block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+        const index = line.indexOf(':');
+        if (index <= 0) return;
+        const name = line.slice(0, index).trim().toLowerCase();
+        // Raw 8-bit header bytes are taken as UTF-8; encoded words are decoded where used
+        const value = decodeCharset(Buffer.from(line.slice(index + 1).trim(), 'latin1'), 'utf-8');
+        headers[name] = headers[name] ? `${headers[name]}, ${value}` : value;
+    });
+    return headers;
+}
+
+// "text/plain; charset=utf-8; name*=UTF-8''a%20b.pdf" -> { value, params }
+function parseHeaderParams(header) {
+    const [value, ...rest] = (header || '').split(';');
+    const params = {};
+    const continued = {};
+    rest.forEach(part => {
+        const index = part.indexOf('=');
+        if (index <= 0) return;
+        const key = part.slice(0, index).trim().toLowerCase();
+        const raw = part.slice(index + 1).trim().replace(/^"|"$/g, '');
+        const extended = /^([^*]+)(?:\*(\d+))?(\*)?$/.exec(key);
+        if (!extended) return;
+        const [, name, section, encoded] = extended;
+        if (section !== undefined) {
+            (continued[name] = continued[name] || []).push({ section: Number(section), raw, encoded: !!encoded });
+        } else if (encoded) {
+            params[name] = decodeRfc2231(raw);
+        } else {
+            params[name] = decodeHeaderValue(raw);
+        }
+    });
+    Object.entries(continued).forEach(([name, sections]) => {
+        const joined = sections.sort((a, b) => a.section - b.section).map(s => s.raw).join('');
+        params[name] = sections[0].encoded ? decodeRfc2231(joined) : decodeHeaderValue(joined);
+    });
+    return { value: value.trim().toLowerCase(), params };
+}
+
+function decodeRfc2231(raw) {
+    const match = /^([^']*)'[^']*'(.*)$/.exec(raw);
+    if (!match) return raw;
+    const bytes = Buffer.from(match[2].replace(/%([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+    return decodeCharset(bytes, match[1] || 'utf-8');
+}
+
+function decodeBody(body, encoding) {
+    switch ((encoding || '').toLowerCase()) {
+        case 'base64':
+            return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+        case 'quoted-printable':
+            return decodeQuotedPrintable(body);
+        default:
+            return Buffer.from(body, 'latin1');
+    }
+}
+
+function splitHeaderBody(raw) {
+    const match = /\r?\n\r?\n/.exec(raw);
+    if (!match) return { headerBlock: raw, body: '' };
+    return { headerBlock: raw.slice(0, match.index), body: raw.slice(match.index + match[0].length) };
+}
+
+function htmlToText(html) {
+    return html
+        .replace(/<(style|script)[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|tr|li|h\d)>/gi, '\n')
+        .replace(/<\/t[dh]>/gi, '\t')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(Number(code)))
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function walkPart(raw, result) {
+    const { headerBlock, body } = splitHeaderBody(raw);
+    const headers = parseHeaders(headerBlock);
+    const type = parseHeaderParams(headers['content-type'] || 'text/plain');
+    const disposition = parseHeaderParams(headers['content-disposition'] || '');
+
+    if (type.value.startsWith('multipart/') && type.params.boundary) {
+        const delimiter = `--${type.params.boundary}`;
+        const sections = body.split(new RegExp(`\\r?\\n?${delimiter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:--)?[ \\t]*\\r?\\n?`));
+        // First section is the preamble, last is the epilogue after the closing delimiter (if any)
+        const closed = body.includes(`${delimiter}--`);
+        sections.slice(1, closed ? -1 : undefined).forEach(section => walkPart(section, result));
+        return;
+    }
+
+    // Forwarded messages are walked like the outer message so their attachments are found too
+    if (type.value === 'message/rfc822') {
+        walkPart(decodeBody(body, headers['content-transfer-encoding']).toString('latin1'), result);
+        return;
+    }
+
+    const content = decodeBody(body, headers['content-transfer-encoding']);
+    const fileName = disposition.params.filename || type.params.name || null;
+    const isAttachment = disposition.value === 'attachment' || (fileName && !type.value.startsWith('text/'));
+
+    if (!isAttachment && type.value === 'text/plain') {
+        result.text.push(decodeCharset(content, type.params.charset));
+    } else if (!isAttachment && type.value === 'text/html') {
+        result.html.push(decodeCharset(content, type.params.charset));
+    } else {
+        result.attachments.push({
+            fileName: fileName || `attachment-${result.attachments.length + 1}`,
+            contentType: type.value,
+            size: content.length,
+            content
+        });
+    }
+}
+
+// raw: Buffer or string with the full message
+function parseEml(raw) {
+    const source = Buffer.isBuffer(raw) ? raw.toString('latin1') : Buffer.from(raw, 'utf8').toString('latin1');
+    const { headerBlock } = splitHeaderBody(source);
+    const headers = parseHeaders(headerBlock);
+    const decode = name => (headers[name] ? decodeHeaderValue(headers[name]) : null);
+    const date = headers.date ? new Date(headers.date) : null;
+
+    const result = { text: [], html: [], attachments: [] };
+    walkPart(source, result);
+
+    const text = result.text.join('\n\n').trim();
+    return {
+        messageId: (headers['message-id'] || '').replace(/^<|>$/g, '') || null,
+        subject: decode('subject') || '',
+        from: decode('from') || '',
+        to: decode('to') || '',
+        date: date && !isNaN(date) ? date : null,
+        text: text || htmlToText(result.html.join('\n')),
+        attachments: result.attachments
+    };
+}
+
+module.exports = { parseEml, htmlToText };
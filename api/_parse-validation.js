@@ -0,0 +1,432 @@
+// Schema validation and arithmetic cross-checks for /api/analyze results.
+// Files starting with "_" are not deployed as routes - this is a shared helper.
+//
+// Schemas use a small JSON-Schema subset (type, properties, required, items,
+// enum, minimum, maximum, format) so the check runs without extra dependencies.
+
+// ==================== Schemas ====================
+const str = { type: ['string', 'null'] };
+const amount = { type: ['number', 'null'], minimum: 0 };
+const confidence = { type: ['number', 'null'], minimum: 0, maximum: 1 };
+const isoDateTime = { type: ['string', 'null'], format: 'date-time' };
+const isoDate = { type: ['string', 'null'], format: 'date' };
+const stringList = { type: ['array', 'null'], items: { type: 'string' } };
+
+const datedValue = {
+    type: ['object', 'null'],
+    properties: { original: str, iso: isoDateTime, confidence }
+};
+
+const MESSAGE_TYPES = [
+    'NOMINATION', 'ETA_UPDATE', 'ARRIVAL_NOTICE', 'BERTHING_NOTICE', 'SAILING_NOTICE', 'SERVICE_REQUEST',
+    'DOCUMENTS', 'DAILY_REPORT', 'CARGO_INFO', 'DISCHARGE_REPORT', 'BULK_UPDATE', 'OTHER'
+];
+
+const EMAIL_SCHEMA = {
+    type: 'object',
+    required: ['messageType'],
+    properties: {
+        messageType: { type: 'string', enum: MESSAGE_TYPES },
+        messageTypeConfidence: confidence,
+        vesselName: str,
+        vesselNameVariations: stringList,
+        imoNumber: str,
+        voyageNumber: str,
+        bulkVessels: {
+            type: ['array', 'null'],
+            items: {
+                type: 'object',
+                required: ['vesselName'],
+                properties: { vesselName: { type: 'string' }, etb: datedValue, eta: datedValue, berth: str }
+            }
+        },
+        dates: {
+            type: ['object', 'null'],
+            properties: { eta: datedValue, etb: datedValue, etd: datedValue, ets: datedValue }
+        },
+        ports: {
+            type: ['object', 'null'],
+            properties: { destination: str, origin: str, lastPort: str, nextPort: str }
+        },
+        status: {
+            type: ['object', 'null'],
+            properties: {
+                current: { type: ['string', 'null'], enum: ['NOMINATED', 'LOADING', 'EN_ROUTE', 'AT_ANCHOR', 'BERTHED', 'WORKING', 'SAILED', null] },
+                statusText: str
+            }
+        },
+        cargo: {
+            type: ['object', 'null'],
+            properties: {
+                types: {
+                    type: ['array', 'null'],
+                    items: {
+                        type: 'object',
+                        properties: { name: str, weight: amount, weightUnit: str, quantity: amount, quantityUnit: str }
+                    }
+                },
+                totalWeight: amount,
+                totalQuantity: amount,
+                blNumbers: stringList,
+                hasTelex: { type: ['boolean', 'null'] },
+                remarks: str
+            }
+        },
+        services: {
+            type: ['object', 'null'],
+            properties: {
+                requested: {
+                    type: ['array', 'null'],
+                    items: {
+                        type: 'object',
+                        properties: {
+                            type: { type: 'string', enum: ['WATER', 'PROVISIONS', 'CREW_CHANGE', 'REPAIRS', 'PARCELS', 'BUNKER', 'SLUDGE', 'OTHER'] },
+                            details: str,
+                            quantity: str,
+                            date: str
+                        }
+                    }
+                }
+            }
+        },
+        contacts: {
+            type: ['array', 'null'],
+            items: {
+                type: 'object',
+                properties: { name: str, role: str, email: str, phone: str, company: str }
+            }
+        },
+        vessel: {
+            type: ['object', 'null'],
+            properties: {
+                flag: str, imoNumber: str, placeBuilt: str, class: str, cranes: { type: ['string', 'number', 'null'] },
+                draft: amount, loa: amount, beam: amount, dwt: amount, gross: amount, net: amount,
+                yearBuilt: { type: ['number', 'null'], minimum: 1900, maximum: 2100 },
+                holds: amount, hatches: amount, grainCapacity: amount
+            }
+        },
+        notes: stringList,
+        extractionConfidence: confidence
+    }
+};
+
+const cargoMovedItem = {
+    type: 'object',
+    properties: { type: str, quantity: amount, weight: amount }
+};
+
+const totals = {
+    type: ['object', 'null'],
+    properties: { quantity: amount, weight: amount }
+};
+
+const TALLY_SCHEMA = {
+    type: 'object',
+    properties: {
+        date: isoDate,
+        vesselName: str,
+        voyage: str,
+        port: str,
+        operation: { type: ['string', 'null'], enum: ['DISCHARGE', 'LOADING', 'BOTH', null] },
+        cargo: {
+            type: ['object', 'null'],
+            properties: {
+                declared: {
+                    type: ['array', 'null'],
+                    items: {
+                        type: 'object',
+                        required: ['type'],
+                        properties: { type: { type: 'string' }, weightDeclared: amount, quantityDeclared: amount, blNumber: str }
+                    }
+                },
+                discharged: {
+                    type: ['array', 'null'],
+                    items: {
+                        type: 'object',
+                        required: ['type'],
+                        properties: {
+                            type: { type: 'string' }, weightDischarged: amount, quantityDischarged: amount,
+                            percentComplete: { type: ['number', 'null'], minimum: 0, maximum: 100 }
+                        }
+                    }
+                },
+                remaining: {
+                    type: ['array', 'null'],
+                    items: {
+                        type: 'object',
+                        required: ['type'],
+                        properties: { type: { type: 'string' }, weightRemaining: amount, quantityRemaining: amount }
+                    }
+                },
+                totalDeclaredWeight: amount,
+                totalDeclaredQuantity: amount,
+                totalDischargedWeight: amount,
+                totalDischargedQuantity: amount,
+                totalRemainingWeight: amount,
+                totalRemainingQuantity: amount,
+                percentageComplete: { type: ['number', 'null'], minimum: 0, maximum: 100 }
+            }
+        },
+        shifts: {
+            type: ['array', 'null'],
+            items: {
+                type: 'object',
+                properties: {
+                    name: str,
+                    time: str,
+                    gangs: { type: ['string', 'number', 'null'] },
+                    cargoMoved: { type: ['array', 'null'], items: cargoMovedItem },
+                    shiftTotalQuantity: amount,
+                    shiftTotalWeight: amount
+                }
+            }
+        },
+        dailyTotals: totals,
+        cumulativeTotals: totals,
+        remarks: stringList,
+        stoppages: {
+            type: ['array', 'null'],
+            items: { type: 'object', properties: { reason: str, duration: str, time: str } }
+        },
+        extractionConfidence: confidence
+    }
+};
+
+const CARGO_SCHEMA = {
+    type: 'object',
+    required: ['cargo'],
+    properties: {
+        cargo: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['type'],
+                properties: { type: { type: 'string' }, quantity: amount, weight: amount }
+            }
+        },
+        totalQuantity: amount,
+        totalWeight: amount,
+        confidence
+    }
+};
+
+const SCHEMAS = {
+    email: EMAIL_SCHEMA,
+    message: EMAIL_SCHEMA,
+    tally: TALLY_SCHEMA,
+    cargo: CARGO_SCHEMA
+};
+
+// ==================== Validator ====================
+function issue(path, code, message, severity = 'error', extra = {}) {
+    return { path, code, message, severity, ...extra };
+}
+
+function isValidCalendarDate(y, m, d) {
+    const date = new Date(Date.UTC(y, m - 1, d));
+    return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+}
+
+const FORMATS = {
+    date: value => {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        return !!match && isValidCalendarDate(+match[1], +match[2], +match[3]);
+    },
+    'date-time': value => {
+        const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(value);
+        return !!match && isValidCalendarDate(+match[1], +match[2], +match[3])
+            && +match[4] < 24 && +match[5] < 60 && (match[6] === undefined || +match[6] < 60);
+    }
+};
+
+function matchesType(type, value) {
+    switch (type) {
+        case 'null': return value === null;
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default: return typeof value === type;
+    }
+}
+
+function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value === 'string' ? `string "${value.slice(0, 40)}"` : typeof value;
+}
+
+function validateSchema(schema, value, path = '', issues = []) {
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(t => matchesType(t, value))) {
+        issues.push(issue(path, 'type', `expected ${types.join(' or ')}, got ${describe(value)}`));
+        return issues;
+    }
+    if (value === null) return issues;
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        issues.push(issue(path, 'enum', `"${value}" is not one of ${schema.enum.filter(v => v !== null).join(', ')}`));
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            issues.push(issue(path, 'range', `${value} is below ${schema.minimum}`));
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            issues.push(issue(path, 'range', `${value} is above ${schema.maximum}`));
+        }
+    }
+    if (schema.format && typeof value === 'string' && !FORMATS[schema.format](value)) {
+        const expected = schema.format === 'date' ? 'YYYY-MM-DD' : 'YYYY-MM-DDTHH:mm:00';
+        issues.push(issue(path, 'format', `"${value}" is not a valid ${expected} date`));
+    }
+    if (matchesType('object', value)) {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) issues.push(issue(join(path, key), 'required', 'missing required field'));
+        });
+        Object.entries(schema.properties || {}).forEach(([key, child]) => {
+            if (value[key] !== undefined) validateSchema(child, value[key], join(path, key), issues);
+        });
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => validateSchema(schema.items, item, `${path}[${i}]`, issues));
+    }
+    return issues;
+}
+
+function join(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+// ==================== Cross-checks ====================
+// Zero and null both mean "not in the document" - the prompts ask for 0 placeholders
+function reported(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value !== 0;
+}
+
+function sum(items, key) {
+    return (items || []).reduce((total, item) => total + (Number(item?.[key]) || 0), 0);
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+// Weights carry rounding from kg → MT conversion; quantities are counts
+function checkTotal(issues, path, label, actual, expected, parts, unit) {
+    if (!reported(actual) || !reported(expected)) return;
+    const tolerance = unit === 'MT' ? Math.max(0.5, Math.abs(expected) * 0.005) : 0.5;
+    if (Math.abs(actual - expected) <= tolerance) return;
+    issues.push(issue(path, 'mismatch',
+        `${label}: ${round(actual)} ${unit} but ${parts} = ${round(expected)} ${unit}`,
+        'warning', { actual: round(actual), expected: round(expected) }));
+}
+
+function typeKey(type) {
+    return (type || '').trim().toLowerCase();
+}
+
+function crossCheckTally(data, issues) {
+    const cargo = data.cargo || {};
+    const daily = data.dailyTotals || {};
+    const cumulative = data.cumulativeTotals || {};
+
+    [['Weight', 'weight', 'MT'], ['Quantity', 'quantity', 'units']].forEach(([suffix, key, unit]) => {
+        const declaredField = key === 'weight' ? 'weightDeclared' : 'quantityDeclared';
+        const dischargedField = key === 'weight' ? 'weightDischarged' : 'quantityDischarged';
+        const remainingField = key === 'weight' ? 'weightRemaining' : 'quantityRemaining';
+
+        // Per-type lists add up to their totals
+        checkTotal(issues, `cargo.totalDeclared${suffix}`, `Declared ${key}`,
+            cargo[`totalDeclared${suffix}`], sum(cargo.declared, declaredField), 'the sum of cargo.declared', unit);
+        checkTotal(issues, `cargo.totalRemaining${suffix}`, `Remaining ${key}`,
+            cargo[`totalRemaining${suffix}`], sum(cargo.remaining, remainingField), 'the sum of cargo.remaining', unit);
+
+        // Grand total = previous + today
+        const previousPlusToday = reported(cumulative[key]) && reported(daily[key]) ? cumulative[key] + daily[key] : null;
+        checkTotal(issues, `cargo.totalDischarged${suffix}`, `Discharged ${key}`,
+            cargo[`totalDischarged${suffix}`], previousPlusToday, 'cumulativeTotals + dailyTotals', unit);
+
+        // declared = discharged + remaining
+        const discharged = reported(cargo[`totalDischarged${suffix}`]) ? cargo[`totalDischarged${suffix}`] : previousPlusToday;
+        const remaining = reported(cargo[`totalRemaining${suffix}`]) ? cargo[`totalRemaining${suffix}`] : sum(cargo.remaining, remainingField);
+        if (reported(discharged) && reported(remaining)) {
+            checkTotal(issues, `cargo.totalDeclared${suffix}`, `Declared ${key}`,
+                cargo[`totalDeclared${suffix}`], discharged + remaining, 'discharged + remaining', unit);
+        }
+
+        // The same balance per cargo type, where the report breaks it down
+        (cargo.declared || []).forEach((item, i) => {
+            const done = (cargo.discharged || []).find(d => typeKey(d.type) === typeKey(item.type));
+            const left = (cargo.remaining || []).find(r => typeKey(r.type) === typeKey(item.type));
+            if (!done || !left || !reported(done[dischargedField]) || !reported(left[remainingField])) return;
+            checkTotal(issues, `cargo.declared[${i}].${declaredField}`, `${item.type} declared ${key}`,
+                item[declaredField], done[dischargedField] + left[remainingField], 'discharged + remaining', unit);
+        });
+
+        // Shifts add up to the day
+        const shiftField = `shiftTotal${suffix}`;
+        const shifts = data.shifts || [];
+        if (shifts.some(s => reported(s[shiftField]))) {
+            checkTotal(issues, `dailyTotals.${key}`, `Daily ${key}`, daily[key], sum(shifts, shiftField), 'the sum of the shifts', unit);
+        }
+        shifts.forEach((shift, i) => {
+            if ((shift.cargoMoved || []).length === 0) return;
+            checkTotal(issues, `shifts[${i}].${shiftField}`, `${shift.name || `Shift ${i + 1}`} ${key}`,
+                shift[shiftField], sum(shift.cargoMoved, key), 'the sum of its cargoMoved', unit);
+        });
+    });
+}
+
+function crossCheckEmail(data, issues) {
+    const cargo = data.cargo || {};
+    checkTotal(issues, 'cargo.totalWeight', 'Total weight', cargo.totalWeight, sum(cargo.types, 'weight'), 'the sum of cargo.types', 'MT');
+    checkTotal(issues, 'cargo.totalQuantity', 'Total quantity', cargo.totalQuantity, sum(cargo.types, 'quantity'), 'the sum of cargo.types', 'units');
+
+    // Arrival comes before berthing and departure
+    const dates = data.dates || {};
+    const eta = dates.eta?.iso;
+    ['etb', 'etd', 'ets'].forEach(key => {
+        const other = dates[key]?.iso;
+        if (eta && other && FORMATS['date-time'](eta) && FORMATS['date-time'](other) && other < eta) {
+            issues.push(issue(`dates.${key}.iso`, 'order', `${key.toUpperCase()} ${other} is before ETA ${eta}`, 'warning'));
+        }
+    });
+}
+
+function crossCheckCargo(data, issues) {
+    checkTotal(issues, 'totalWeight', 'Total weight', data.totalWeight, sum(data.cargo, 'weight'), 'the sum of cargo', 'MT');
+    checkTotal(issues, 'totalQuantity', 'Total quantity', data.totalQuantity, sum(data.cargo, 'quantity'), 'the sum of cargo', 'units');
+}
+
+const CROSS_CHECKS = {
+    email: crossCheckEmail,
+    message: crossCheckEmail,
+    tally: crossCheckTally,
+    cargo: crossCheckCargo
+};
+
+/**
+ * Validates a parsed model result for parseType.
+ * Returns a list of { path, code, message, severity } - schema problems are
+ * 'error', totals that do not reconcile are 'warning'. Empty means clean.
+ */
+function validateParsed(parseType, data) {
+    const schema = SCHEMAS[parseType];
+    if (!schema) return [];
+    const issues = validateSchema(schema, data);
+    // Cross-checks read numbers, so only run them on a structurally valid result
+    if (issues.length === 0) CROSS_CHECKS[parseType](data, issues);
+    return issues;
+}
+
+// Feedback for the retry: the model sees exactly what failed and where
+function describeIssuesForRetry(issues) {
+    return [
+        'Your JSON did not pass validation:',
+        ...issues.map(i => `- ${i.path || '(root)'}: ${i.message}`),
+        '',
+        'Return the complete corrected JSON only, same structure as before.',
+        'If the document itself contains these numbers, keep them exactly as written - do not invent values to make totals match.'
+    ].join('\n');
+}
+
+module.exports = { validateParsed, validateSchema, describeIssuesForRetry, SCHEMAS };
@@ -0,0 +1,510 @@
+// Fleet search for parseType 'query' (api/analyze.js)
+// The model answers through query tools that run here against Firestore instead of reading a
+// dump of every ship, so the prompt stays small as the fleet grows and archived voyages are
+// reachable. Every voyage a tool returns carries a `ref` ("ships/{id}" or "archived/{id}");
+// the answer cites the refs it used and only refs that a tool actually returned are kept.
+// Reference vessels and contacts are not voyages, so answers from them cite no source.
+
+const { requestClaude, parseModelJson } = require('./_claude');
+const { listDocuments } = require('./_firestore');
+const { normalizeStatus, STATUS } = require('./_tasks');
+const { dischargeProgress, normalizeCargoType } = require('./_discharge');
+
+const MAX_TOOL_ROUNDS = 6;
+const DEFAULT_LIMIT = 30;
+const MAX_LIMIT = 100;
+const TIME_ZONE = 'Asia/Jerusalem';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const VOYAGE_FIELDS = [
+    'name', 'voyage', 'status', 'port', 'berth', 'eta', 'etb', 'expected_berth_time', 'expected_finish_time',
+    'cargo', 'cargoWeight', 'cargoBreakdown', 'manifest', 'receivers', 'owner', 'supplier', 'trader', 'trader_flag',
+    'portStatus', 'actualBerthing', 'dischargeStarted', 'dischargeCompleted', 'dischargeData', 'tasks', 'notes',
+    'flag', 'imoNumber', 'loa', 'dwt', 'archivedAt', 'updatedAt'
+];
+
+// Same list as REQUIRED_DOCUMENTS in index.html - keep the two in sync
+const REQUIRED_DOCUMENTS = [
+    { id: 'discharge_approval', name: 'אישור פריקה' },
+    { id: 'lashing_approval', name: 'אישור לשינג' },
+    { id: 'breakdown', name: 'Breakdown' },
+    { id: 'manifest', name: 'Manifest' },
+    { id: 'cargo_plan', name: 'Cargo Plan' },
+    { id: 'sof', name: 'SOF' }
+];
+
+const REFERENCE_VESSEL_FIELDS = [
+    'name', 'imo', 'flag', 'yearBuilt', 'loa', 'beam', 'draft', 'dwt', 'grt', 'nrt', 'holds', 'hatches', 'cranes'
+];
+
+const CONTACT_FIELDS = ['name', 'company', 'type', 'email', 'phone'];
+const CONTACT_TYPES = ['agent', 'port', 'owner', 'charterer', 'receiver', 'other'];
+
+// ==================== Tools ====================
+const FILTER_PROPERTIES = {
+    scope: { type: 'string', enum: ['active', 'archived', 'all'], description: 'active = current voyages (default), archived = finished voyages moved to the archive' },
+    status: {
+        type: 'array',
+        items: { type: 'string', enum: Object.values(STATUS) },
+        description: 'Lifecycle statuses to include'
+    },
+    vessel: { type: 'string', description: 'Part of the vessel name' },
+    port: { type: 'string', description: 'Part of the port name (e.g. Ashdod, Haifa, אשדוד)' },
+    cargo: { type: 'string', description: 'Part of a cargo type (e.g. steel, coils)' },
+    receiver: { type: 'string', description: 'Part of a receiver name' },
+    eta_from: { type: 'string', description: 'ISO date - ETA on or after' },
+    eta_to: { type: 'string', description: 'ISO date - ETA on or before' }
+};
+
+const TOOLS = [
+    {
+        name: 'find_voyages',
+        description: 'Lists voyages matching the filters with status, port, berth, ETA/ETB, cargo types and manifest/discharged tonnage. Filters combine with AND; omit a filter to not restrict on it.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                ...FILTER_PROPERTIES,
+                limit: { type: 'integer', description: `At most this many voyages (default ${DEFAULT_LIMIT}, max ${MAX_LIMIT})` }
+            }
+        }
+    },
+    {
+        name: 'cargo_totals',
+        description: 'Sums manifest, discharged and remaining tonnage over the voyages matching the filters, grouped by cargo type, status or port.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                ...FILTER_PROPERTIES,
+                group_by: { type: 'string', enum: ['cargo', 'status', 'port'], description: 'Default cargo' }
+            }
+        }
+    },
+    {
+        name: 'get_voyage',
+        description: 'Full record of one voyage: parties, particulars, port events (SOF), cargo breakdown, manifest lines with B/L and receiver, discharge progress per day, pending tasks and notes. Pass a ref from another tool, or a vessel name (and voyage number) to search active and archived voyages.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                ref: { type: 'string', description: 'ships/{id} or archived/{id}' },
+                vessel: { type: 'string' },
+                voyage: { type: 'string' }
+            }
+        }
+    },
+    {
+        name: 'discharge_history',
+        description: 'Discharge performance of active and archived voyages: commenced/completed times, days, tonnage and average tons per day. Newest first.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                vessel: FILTER_PROPERTIES.vessel,
+                port: FILTER_PROPERTIES.port,
+                cargo: FILTER_PROPERTIES.cargo,
+                receiver: FILTER_PROPERTIES.receiver,
+                completed_from: { type: 'string', description: 'ISO date - discharge completed on or after' },
+                completed_to: { type: 'string', description: 'ISO date - discharge completed on or before' },
+                limit: { type: 'integer', description: `Default ${DEFAULT_LIMIT}, max ${MAX_LIMIT}` }
+            }
+        }
+    },
+    {
+        name: 'document_status',
+        description: `Which of the required documents (${REQUIRED_DOCUMENTS.map(d => d.name).join(', ')}) the field agents uploaded for each active voyage, and which are missing.`,
+        input_schema: {
+            type: 'object',
+            properties: {
+                vessel: FILTER_PROPERTIES.vessel,
+                port: FILTER_PROPERTIES.port,
+                status: FILTER_PROPERTIES.status,
+                missing: { type: 'string', enum: REQUIRED_DOCUMENTS.map(d => d.id), description: 'Only voyages still missing this document' }
+            }
+        }
+    },
+    {
+        name: 'vessel_particulars',
+        description: 'Technical particulars from the reference vessel list: IMO, flag, year built, LOA, beam, draft, DWT, GRT, NRT, holds, hatches and cranes.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                vessel: { type: 'string', description: 'Part of the vessel name' },
+                imo: { type: 'string' }
+            }
+        }
+    },
+    {
+        name: 'find_contacts',
+        description: 'Contacts with company, type, email and phone. The search matches name, company or email.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                search: { type: 'string' },
+                type: { type: 'string', enum: CONTACT_TYPES },
+                limit: { type: 'integer', description: `Default ${DEFAULT_LIMIT}, max ${MAX_LIMIT}` }
+            }
+        }
+    }
+];
+
+// ==================== Data ====================
+// Collections are read once per question, and only when a tool needs them
+function dataSource() {
+    const loaded = {};
+    const list = (collection, fields) => (loaded[collection] ??= listDocuments(collection, fields));
+    const voyages = collection => list(collection, VOYAGE_FIELDS)
+        .then(docs => docs.map(doc => ({ ...doc, ref: `${collection}/${doc.id}` })));
+    return {
+        list,
+        voyages: async scope => {
+            if (scope === 'archived') return voyages('archived');
+            if (scope === 'all') return [...await voyages('ships'), ...await voyages('archived')];
+            return voyages('ships');
+        }
+    };
+}
+
+function contains(value, search) {
+    return String(value || '').toLowerCase().includes(String(search).trim().toLowerCase());
+}
+
+function cargoTypes(ship) {
+    const types = [ship.cargo, ...(ship.cargoBreakdown || []).map(c => c.type), ...(ship.manifest?.items || []).map(i => i.type)];
+    return [...new Map(types.filter(Boolean).map(type => [normalizeCargoType(type), type])).values()];
+}
+
+function receiverNames(ship) {
+    return [
+        ...String(ship.receivers || '').split(/[,;،]/),
+        ...(ship.manifest?.items || []).map(item => item.receiver)
+    ].map(name => (name || '').trim()).filter(Boolean);
+}
+
+function time(value) {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date) ? date.getTime() : null;
+}
+
+// portStatus event as an ISO-like local time, falling back to the older timestamp fields
+function eventTime(ship, key, fallback) {
+    const event = ship.portStatus?.[key];
+    if (event?.date) return `${event.date}T${event.time || '00:00'}`;
+    return ship[fallback] || null;
+}
+
+function matchesFilters(ship, filters) {
+    if (filters.status?.length && !filters.status.includes(normalizeStatus(ship))) return false;
+    if (filters.vessel && !contains(ship.name, filters.vessel)) return false;
+    if (filters.port && !contains(ship.port, filters.port)) return false;
+    if (filters.cargo && !cargoTypes(ship).some(type => contains(type, filters.cargo))) return false;
+    if (filters.receiver && !receiverNames(ship).some(name => contains(name, filters.receiver))) return false;
+    const eta = time(ship.eta);
+    if (filters.eta_from && (eta === null || eta < time(filters.eta_from))) return false;
+    if (filters.eta_to && (eta === null || eta > time(filters.eta_to) + DAY_MS - 1)) return false;
+    return true;
+}
+
+function limitOf(input) {
+    return Math.min(MAX_LIMIT, Math.max(1, Number(input.limit) || DEFAULT_LIMIT));
+}
+
+function voyageSummary(ship) {
+    const progress = dischargeProgress(ship);
+    return {
+        ref: ship.ref,
+        vessel: ship.name || '',
+        voyage: ship.voyage || '',
+        status: normalizeStatus(ship),
+        port: ship.port || null,
+        berth: ship.berth || null,
+        eta: ship.eta || null,
+        etb: ship.etb?.displayValue || ship.etb?.sortDate || ship.expected_berth_time || null,
+        cargo: cargoTypes(ship),
+        manifestMT: progress.manifest,
+        dischargedMT: progress.discharged,
+        receivers: [...new Set(receiverNames(ship))],
+        archivedAt: ship.archivedAt || undefined
+    };
+}
+
+// ==================== Tool runners ====================
+async function findVoyages(input, source) {
+    const matches = (await source.voyages(input.scope)).filter(ship => matchesFilters(ship, input))
+        .sort((a, b) => (time(a.eta) ?? Infinity) - (time(b.eta) ?? Infinity));
+    return { total: matches.length, voyages: matches.slice(0, limitOf(input)).map(voyageSummary) };
+}
+
+async function cargoTotals(input, source) {
+    const groupBy = input.group_by || 'cargo';
+    const groups = new Map();
+    const add = (key, manifest, discharged, ref) => {
+        const label = key || '-';
+        const id = normalizeCargoType(label);
+        if (!groups.has(id)) groups.set(id, { key: label, manifestMT: 0, dischargedMT: 0, refs: new Set() });
+        const group = groups.get(id);
+        group.manifestMT += manifest;
+        group.dischargedMT += discharged;
+        group.refs.add(ref);
+    };
+
+    const matches = (await source.voyages(input.scope)).filter(ship => matchesFilters(ship, input));
+    matches.forEach(ship => {
+        const progress = dischargeProgress(ship);
+        if (groupBy === 'cargo') {
+            // A cargo filter keeps only its own lines of a mixed cargo
+            // Voyages logged only as totals spread the discharged tonnage by manifest share
+            const byType = progress.cargo.reduce((sum, c) => sum + c.discharged, 0);
+            const share = c => (byType === 0 && progress.manifest > 0 ? progress.discharged * c.manifest / progress.manifest : c.discharged);
+            progress.cargo
+                .filter(c => !input.cargo || contains(c.type, input.cargo))
+                .forEach(c => add(c.type, c.manifest, share(c), ship.ref));
+            if (progress.cargo.length === 0) add(ship.cargo, progress.manifest, progress.discharged, ship.ref);
+        } else {
+            add(groupBy === 'status' ? normalizeStatus(ship) : ship.port, progress.manifest, progress.discharged, ship.ref);
+        }
+    });
+
+    return {
+        voyages: matches.map(ship => ({ ref: ship.ref, vessel: ship.name || '', voyage: ship.voyage || '', status: normalizeStatus(ship) })),
+        groups: [...groups.values()]
+            .sort((a, b) => b.manifestMT - a.manifestMT)
+            .map(group => ({
+                ...group,
+                remainingMT: Math.max(0, group.manifestMT - group.dischargedMT),
+                refs: [...group.refs]
+            }))
+    };
+}
+
+async function getVoyage(input, source) {
+    const all = await source.voyages('all');
+    let ship = input.ref ? all.find(s => s.ref === input.ref) : null;
+    if (!ship && input.vessel) {
+        const candidates = all
+            .filter(s => contains(s.name, input.vessel) && (!input.voyage || contains(s.voyage, input.voyage)))
+            // Current voyages first, then the latest archived one
+            .sort((a, b) => (a.ref.startsWith('archived/') - b.ref.startsWith('archived/'))
+                || (time(b.eta) ?? 0) - (time(a.eta) ?? 0));
+        ship = candidates[0];
+        if (candidates.length > 1) {
+            return { ...voyageDetail(ship), otherMatches: candidates.slice(1, 10).map(voyageSummary) };
+        }
+    }
+    if (!ship) return { error: 'No voyage found' };
+    return voyageDetail(ship);
+}
+
+function voyageDetail(ship) {
+    const portStatus = ship.portStatus || {};
+    return {
+        ...voyageSummary(ship),
+        imo: ship.imoNumber || null,
+        flag: ship.flag || null,
+        loa: ship.loa || null,
+        dwt: ship.dwt || null,
+        owner: ship.owner || null,
+        supplier: ship.supplier || null,
+        trader: ship.trader || ship.trader_flag || null,
+        expectedFinish: ship.expected_finish_time || null,
+        portEvents: Object.fromEntries(Object.entries(portStatus)
+            .filter(([, event]) => event?.date)
+            .map(([key, event]) => [key, `${event.date} ${event.time || ''}`.trim()])),
+        cargoBreakdown: (ship.cargoBreakdown || []).map(c => ({ type: c.type, weight: c.weight, quantity: c.quantity })),
+        manifestLines: (ship.manifest?.items || []).slice(0, MAX_LIMIT).map(item => ({
+            bl: item.blNumber || null, type: item.type, weight: item.weight, quantity: item.quantity, receiver: item.receiver || null
+        })),
+        progress: dischargeProgress(ship),
+        pendingTasks: (ship.tasks || []).filter(task => task.status !== 'done' && !task.done).map(task => task.title),
+        notes: typeof ship.notes === 'string' ? ship.notes.slice(0, 1000) : null
+    };
+}
+
+async function dischargeHistory(input, source) {
+    const from = time(input.completed_from);
+    const to = input.completed_to ? time(input.completed_to) + DAY_MS - 1 : null;
+    const rows = (await source.voyages('all'))
+        .filter(ship => matchesFilters(ship, input))
+        .map(ship => {
+            const progress = dischargeProgress(ship);
+            const commenced = eventTime(ship, 'dlCommenced', 'dischargeStarted');
+            const completed = eventTime(ship, 'dlCompleted', 'dischargeCompleted');
+            const days = time(commenced) !== null && time(completed) !== null
+                ? Math.round((time(completed) - time(commenced)) / DAY_MS * 10) / 10
+                : null;
+            return {
+                ref: ship.ref,
+                vessel: ship.name || '',
+                voyage: ship.voyage || '',
+                status: normalizeStatus(ship),
+                port: ship.port || null,
+                cargo: cargoTypes(ship),
+                commenced,
+                completed,
+                days,
+                manifestMT: progress.manifest,
+                dischargedMT: progress.discharged,
+                tonsPerDay: days > 0 ? Math.round(progress.discharged / days) : null
+            };
+        })
+        .filter(row => row.commenced || row.dischargedMT > 0)
+        .filter(row => (from === null || (time(row.completed) ?? -Infinity) >= from)
+            && (to === null || (time(row.completed) ?? Infinity) <= to))
+        .sort((a, b) => (time(b.completed) ?? time(b.commenced) ?? 0) - (time(a.completed) ?? time(a.commenced) ?? 0));
+    return { total: rows.length, voyages: rows.slice(0, limitOf(input)) };
+}
+
+// Uploads are kept per ship in fieldAgentDocs/{shipId}, one field per document id
+async function documentStatus(input, source) {
+    const [voyages, uploads] = await Promise.all([
+        source.voyages('active'),
+        source.list('fieldAgentDocs', REQUIRED_DOCUMENTS.map(d => d.id))
+    ]);
+    const byShip = new Map(uploads.map(doc => [doc.id, doc]));
+    const rows = voyages
+        .filter(ship => matchesFilters(ship, input))
+        .map(ship => {
+            const docs = byShip.get(ship.ref.split('/')[1]) || {};
+            const missing = REQUIRED_DOCUMENTS.filter(d => !docs[d.id]?.uploaded);
+            return { ship, missing };
+        })
+        .filter(({ missing }) => !input.missing || missing.some(d => d.id === input.missing))
+        .map(({ ship, missing }) => ({
+            ref: ship.ref,
+            vessel: ship.name || '',
+            voyage: ship.voyage || '',
+            status: normalizeStatus(ship),
+            uploaded: REQUIRED_DOCUMENTS.filter(d => !missing.includes(d)).map(d => d.name),
+            missing: missing.map(d => d.name)
+        }));
+    return {
+        total: rows.length,
+        complete: rows.filter(row => row.missing.length === 0).length,
+        voyages: rows
+    };
+}
+
+async function vesselParticulars(input, source) {
+    const imo = String(input.imo || '').replace(/\D/g, '');
+    const vessels = (await source.list('referenceData/vessels/items', REFERENCE_VESSEL_FIELDS))
+        .filter(v => (!input.vessel || contains(v.name, input.vessel)) && (!imo || String(v.imo || '').replace(/\D/g, '') === imo));
+    if (vessels.length === 0) return { error: 'No vessel in the reference list' };
+    return {
+        total: vessels.length,
+        vessels: vessels.slice(0, MAX_LIMIT).map(({ id, ...v }) => v)
+    };
+}
+
+async function findContacts(input, source) {
+    const contacts = (await source.list('contacts', CONTACT_FIELDS))
+        .filter(c => (!input.type || c.type === input.type)
+            && (!input.search || [c.name, c.company, c.email].some(value => contains(value, input.search))))
+        .sort((a, b) => String(a.name || '').localeCompare(String(b.name || '')));
+    return {
+        total: contacts.length,
+        contacts: contacts.slice(0, limitOf(input)).map(({ id, ...c }) => c)
+    };
+}
+
+const RUNNERS = {
+    find_voyages: findVoyages,
+    cargo_totals: cargoTotals,
+    get_voyage: getVoyage,
+    discharge_history: dischargeHistory,
+    document_status: documentStatus,
+    vessel_particulars: vesselParticulars,
+    find_contacts: findContacts
+};
+
+// Every voyage a tool returned, by ref - the only refs an answer may cite
+function collectRefs(output, refs) {
+    const visit = value => {
+        if (Array.isArray(value)) return value.forEach(visit);
+        if (!value || typeof value !== 'object') return;
+        if (typeof value.ref === 'string' && !refs.has(value.ref)) {
+            refs.set(value.ref, { vessel: value.vessel || '', voyage: value.voyage || '', status: value.status || null });
+        }
+        Object.values(value).forEach(visit);
+    };
+    visit(output);
+}
+
+// ==================== Conversation ====================
+function systemPrompt() {
+    const today = new Date().toLocaleDateString('en-CA', { timeZone: TIME_ZONE });
+    return `You are the assistant of an Israeli port agency's ship operations system. Answer questions about vessels, voyages, cargo, discharge, required documents, vessel particulars and contacts using ONLY the data returned by the tools - call them as needed, several times if useful. Today is ${today} (${TIME_ZONE}).
+
+Statuses: ${Object.values(STATUS).join(', ')}. "At sea" means Nominated or Expected; "in port" means At Anchor or Berthed; "under discharge" means Under Operation.
+
+INSTRUCTIONS:
+- For dates, format in Hebrew locale (DD/MM/YYYY)
+- For weights, use MT (metric tons)
+- If the tools return nothing relevant, say so clearly - never guess
+- Keep answers concise but complete
+- Answer in Hebrew if the question is in Hebrew
+
+When you are done, reply with JSON only:
+{"answer": "<the answer as plain text, **bold** allowed>", "sources": ["<ref of every voyage the answer relies on>"]}`;
+}
+
+function parseAnswer(text) {
+    const parsed = parseModelJson(text || '');
+    if (parsed && typeof parsed.answer === 'string') {
+        return { answer: parsed.answer, cited: Array.isArray(parsed.sources) ? parsed.sources : [] };
+    }
+    return { answer: text || '', cited: [] };
+}
+
+// -> { answer, sources: [{ ref, collection, id, vessel, voyage, status }], queries: [{ tool, input, error? }] }
+async function answerQuery(apiKey, query) {
+    const source = dataSource();
+    const refs = new Map();
+    const queries = [];
+    const messages = [{ role: 'user', content: query }];
+
+    for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+        const response = await requestClaude(apiKey, { system: systemPrompt(), messages, tools: TOOLS });
+        const toolUses = response.content.filter(c => c.type === 'tool_use');
+
+        if (response.stop_reason !== 'tool_use' || toolUses.length === 0) {
+            const text = response.content.filter(c => c.type === 'text').map(c => c.text).join('\n');
+            const { answer, cited } = parseAnswer(text);
+            return {
+                answer,
+                raw: answer,
+                sources: [...new Set(cited)].filter(ref => refs.has(ref)).map(ref => {
+                    const [collection, id] = ref.split('/');
+                    return { ref, collection, id, ...refs.get(ref) };
+                }),
+                queries
+            };
+        }
+
+        messages.push({ role: 'assistant', content: response.content });
+        const results = [];
+        for (const use of toolUses) {
+            const runner = RUNNERS[use.name];
+            const input = use.input || {};
+            let output;
+            try {
+                output = runner ? await runner(input, source) : { error: `Unknown tool ${use.name}` };
+            } catch (error) {
+                // Storage errors end the question; a bad input goes back to the model
+                if (error.status) throw error;
+                output = { error: error.message };
+            }
+            collectRefs(output, refs);
+            queries.push({ tool: use.name, input, ...(output.error ? { error: output.error } : {}) });
+            results.push({
+                type: 'tool_result',
+                tool_use_id: use.id,
+                content: JSON.stringify(output),
+                ...(output.error ? { is_error: true } : {})
+            });
+        }
+        messages.push({ role: 'user', content: results });
+    }
+
+    const error = new Error('The question needed too many lookups - try a narrower question');
+    error.code = 'too-many-rounds';
+    throw error;
+}
+
+module.exports = { answerQuery, TOOLS };
@@ -0,0 +1,244 @@
+// Minimal SMTP client for server routes
+// Speaks SMTP with STARTTLS when the server offers it (port 587), or implicit TLS with
+// SMTP_SECURE=true (port 465), and logs in with AUTH PLAIN when SMTP_USER is set - only
+// over TLS, so a server that doesn't offer STARTTLS never sees the password.
+// Without credentials it works against a local catcher such as Mailpit or MailHog:
+//   SMTP_HOST=localhost SMTP_PORT=1025 SMTP_FROM=ops@example.com
+//
+// Settings: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_FROM (address or
+// "Name <address>"), SMTP_HELO (name sent in EHLO, default localhost)
+
+const net = require('net');
+const tls = require('tls');
+const crypto = require('crypto');
+
+const TIMEOUT_MS = 20000;
+const EMAIL = /^[^\s<>@,;"]+@[^\s<>@,;"]+\.[^\s<>@,;"]+$/;
+
+function smtpConfig() {
+    const host = process.env.SMTP_HOST;
+    const from = process.env.SMTP_FROM || process.env.SMTP_USER;
+    if (!host || !from) {
+        const error = new Error('SMTP not configured');
+        error.code = 'not-configured';
+        throw error;
+    }
+    const secure = process.env.SMTP_SECURE === 'true';
+    return {
+        host,
+        port: Number(process.env.SMTP_PORT) || (secure ? 465 : 587),
+        secure,
+        user: process.env.SMTP_USER || '',
+        pass: process.env.SMTP_PASS || '',
+        from
+    };
+}
+
+// "Name <a@b.c>" or "a@b.c" -> "a@b.c"
+function addressOf(value) {
+    const match = /<([^>]+)>\s*$/.exec(value || '');
+    return (match ? match[1] : value || '').trim();
+}
+
+function isValidAddress(value) {
+    return !/[\r\n]/.test(value || '') && EMAIL.test(addressOf(value));
+}
+
+// ==================== Session ====================
+// Collects replies from the server; a reply ends on a line with a space after the code
+// ("250 OK"), continuation lines use a dash ("250-SIZE ...")
+class SmtpSession {
+    constructor(socket) {
+        this.replies = [];
+        this.waiters = [];
+        this.error = null;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        this.buffer = '';
+        this.lines = [];
+        this.handlers = {
+            data: chunk => this.onData(chunk),
+            error: error => this.fail(error),
+            close: () => this.fail(new Error('SMTP connection closed'))
+        };
+        Object.entries(this.handlers).forEach(([event, handler]) => socket.on(event, handler));
+        socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error('SMTP timeout')));
+    }
+
+    // Before STARTTLS hands the socket over to TLS
+    detach() {
+        Object.entries(this.handlers).forEach(([event, handler]) => this.socket.removeListener(event, handler));
+        this.socket.setTimeout(0);
+    }
+
+    onData(chunk) {
+        this.buffer += chunk.toString('utf8');
+        const lines = this.buffer.split(/\r?\n/);
+        this.buffer = lines.pop();
+        lines.forEach(line => {
+            this.lines.push(line.slice(4));
+            if (line[3] === '-') return;
+            const reply = { code: Number(line.slice(0, 3)), text: this.lines.join('\n') };
+            this.lines = [];
+            const waiter = this.waiters.shift();
+            if (waiter) waiter.resolve(reply);
+            else this.replies.push(reply);
+        });
+    }
+
+    fail(error) {
+        this.error = this.error || error;
+        this.waiters.splice(0).forEach(waiter => waiter.reject(this.error));
+    }
+
+    read() {
+        if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+        if (this.error) return Promise.reject(this.error);
+        return new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+    }
+
+    // line: null just waits for the next reply (the greeting)
+    async command(line, expected) {
+        if (line !== null) this.socket.write(`${line}\r\n`);
+        const reply = await this.read();
+        if (!expected.includes(reply.code)) {
+            const error = new Error(`SMTP ${reply.code}: ${reply.text}`);
+            error.smtpCode = reply.code;
+            throw error;
+        }
+        return reply;
+    }
+}
+
+function connect(config) {
+    return new Promise((resolve, reject) => {
+        const options = { host: config.host, port: config.port, servername: config.host };
+        const socket = config.secure ? tls.connect(options) : net.connect(options);
+        socket.once(config.secure ? 'secureConnect' : 'connect', () => resolve(socket));
+        socket.once('error', reject);
+    });
+}
+
+function upgradeToTls(socket, host) {
+    return new Promise((resolve, reject) => {
+        const secure = tls.connect({ socket, servername: host }, () => resolve(secure));
+        secure.once('error', reject);
+    });
+}
+
+// ==================== Message ====================
+function encodeHeader(value) {
+    const clean = String(value || '').replace(/[\r\n]+/g, ' ');
+    return /^[\x20-\x7e]*$/.test(clean) ? clean : `=?UTF-8?B?${Buffer.from(clean, 'utf8').toString('base64')}?=`;
+}
+
+// Rebuilt from its parts, so a display name can't carry line breaks or raw non-ASCII into a header
+function formatAddress(value) {
+    const address = addressOf(value);
+    const match = /^(.*?)\s*<[^>]+>\s*$/.exec(value || '');
+    const name = (match ? match[1] : '').replace(/^"|"$/g, '').replace(/[\r\n"]+/g, ' ').trim();
+    if (!name) return address;
+    // An encoded word may not sit inside quotes
+    const encoded = encodeHeader(name);
+    return encoded === name ? `"${name}" <${address}>` : `${encoded} <${address}>`;
+}
+
+function base64Lines(buffer) {
+    return buffer.toString('base64').replace(/.{76}(?=.)/g, '$&\r\n');
+}
+
+// message: { from, to: [], cc: [], replyTo, subject, text, attachments: [{ fileName, contentType, content: Buffer }] }
+function buildMessage(message, messageId) {
+    const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+    const attachments = message.attachments || [];
+    const headers = [
+        `From: ${formatAddress(message.from)}`,
+        `To: ${message.to.map(formatAddress).join(', ')}`,
+        message.cc.length > 0 ? `Cc: ${message.cc.map(formatAddress).join(', ')}` : null,
+        message.replyTo ? `Reply-To: ${formatAddress(message.replyTo)}` : null,
+        `Subject: ${encodeHeader(message.subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${messageId}>`,
+        'MIME-Version: 1.0'
+    ].filter(Boolean);
+    const textPart = [
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Lines(Buffer.from(message.text || '', 'utf8'))
+    ].join('\r\n');
+
+    if (attachments.length === 0) return `${headers.join('\r\n')}\r\n${textPart}`;
+
+    const parts = [textPart, ...attachments.map(attachment => {
+        const name = encodeHeader(attachment.fileName).replace(/"/g, '');
+        return [
+            `Content-Type: ${attachment.contentType || 'application/octet-stream'}; name="${name}"`,
+            'Content-Transfer-Encoding: base64',
+            `Content-Disposition: attachment; filename="${name}"`,
+            '',
+            base64Lines(attachment.content)
+        ].join('\r\n');
+    })];
+    return [
+        ...headers,
+        `Content-Type: multipart/mixed; boundary="${boundary}"`,
+        '',
+        ...parts.map(part => `--${boundary}\r\n${part}`),
+        `--${boundary}--`
+    ].join('\r\n');
+}
+
+// Lines starting with a dot are doubled so they are not read as the end of DATA
+function dotStuff(data) {
+    return data.replace(/^\./, '..').replace(/\r\n\./g, '\r\n..');
+}
+
+// Returns { messageId, response }
+async function sendMail(message, config = smtpConfig()) {
+    const recipients = [...message.to, ...message.cc].map(addressOf);
+    const domain = addressOf(config.from).split('@')[1] || 'localhost';
+    const messageId = `${crypto.randomUUID()}@${domain}`;
+
+    let socket = await connect(config);
+    const session = new SmtpSession(socket);
+    try {
+        await session.command(null, [220]);
+        const helo = process.env.SMTP_HELO || 'localhost';
+        const ehlo = await session.command(`EHLO ${helo}`, [250]);
+        let encrypted = config.secure;
+        if (!config.secure && /^STARTTLS\b/im.test(ehlo.text)) {
+            await session.command('STARTTLS', [220]);
+            session.detach();
+            socket = await upgradeToTls(socket, config.host);
+            session.attach(socket);
+            encrypted = true;
+            await session.command(`EHLO ${helo}`, [250]);
+        }
+        if (config.user) {
+            if (!encrypted) {
+                const error = new Error('SMTP server does not offer STARTTLS - set SMTP_SECURE=true or use a server with TLS');
+                error.code = 'insecure';
+                throw error;
+            }
+            const credentials = Buffer.from(`\0${config.user}\0${config.pass}`, 'utf8').toString('base64');
+            await session.command(`AUTH PLAIN ${credentials}`, [235]);
+        }
+
+        await session.command(`MAIL FROM:<${addressOf(config.from)}>`, [250]);
+        for (const recipient of recipients) {
+            await session.command(`RCPT TO:<${recipient}>`, [250, 251]);
+        }
+        await session.command('DATA', [354]);
+        const reply = await session.command(`${dotStuff(buildMessage({ ...message, from: config.from }, messageId))}\r\n.`, [250]);
+        await session.command('QUIT', [221]).catch(() => {});
+        return { messageId, response: reply.text };
+    } finally {
+        socket.destroy();
+    }
+}
+
+module.exports = { sendMail, smtpConfig, isValidAddress, addressOf };
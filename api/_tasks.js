@@ -0,0 +1,74 @@
+// Task due rules for server routes
+// Same rules as taskUrgency in index.html - keep the two in sync. A pending task is
+// 'urgent', 'warning' or '' (nothing to say yet) depending on its due rule, the ETA and
+// where the vessel is in its lifecycle. Tasks carry their rule from the template they were
+// built from (see `taskTemplates`), so custom templates need no change here.
+
+const STATUS = {
+    NOMINATED: 'Nominated',
+    EXPECTED: 'Expected',
+    AT_ANCHOR: 'At Anchor',
+    BERTHED: 'Berthed',
+    UNDER_OPERATION: 'Under Operation',
+    COMPLETED: 'Completed',
+    SAILED: 'Sailed'
+};
+
+const STATUS_GROUPS = {
+    [STATUS.NOMINATED]: 'at-sea',
+    [STATUS.EXPECTED]: 'at-sea',
+    [STATUS.AT_ANCHOR]: 'at-port',
+    [STATUS.BERTHED]: 'at-port',
+    [STATUS.UNDER_OPERATION]: 'under-operation',
+    [STATUS.COMPLETED]: 'under-operation',
+    [STATUS.SAILED]: 'sailed'
+};
+
+// Values written by older versions of the app
+const LEGACY_STATUS_MAP = {
+    'At Sea': STATUS.EXPECTED,
+    'Under Discharge': STATUS.UNDER_OPERATION,
+    'Operation Completed': STATUS.COMPLETED
+};
+
+function normalizeStatus(ship) {
+    if (STATUS_GROUPS[ship.status]) return ship.status;
+    if (ship.status === 'At Port') {
+        return ship.portStatus?.vesselBerthed?.date || ship.actualBerthing ? STATUS.BERTHED : STATUS.AT_ANCHOR;
+    }
+    return LEGACY_STATUS_MAP[ship.status] || STATUS.EXPECTED;
+}
+
+function daysUntil(dateISO, now) {
+    return Math.ceil((new Date(dateISO) - now) / (1000 * 60 * 60 * 24));
+}
+
+function taskUrgency(task, ship, now = new Date()) {
+    if (!ship.eta || isNaN(new Date(ship.eta))) return '';
+    const n = daysUntil(ship.eta, now);
+    const status = normalizeStatus(ship);
+    const group = STATUS_GROUPS[status];
+
+    // eta_minus_days:N - warning from N days before ETA, urgent from the last day
+    const etaRule = /^eta_minus_days:(\d+)$/.exec(task.due || '');
+    if (etaRule) return n < 0 ? 'urgent' : (n <= Number(etaRule[1]) ? (n <= 1 ? 'urgent' : 'warning') : '');
+
+    switch (task.due) {
+        case 'at_sea_window': return (group === 'at-sea' && n <= 7) ? 'warning' : '';
+        case 'prefer_at_sea': return group === 'at-port' ? 'warning' : '';
+        case 'must_before_discharge': return status === STATUS.UNDER_OPERATION ? 'urgent' : '';
+        case 'day0_to_day1': return status === STATUS.SAILED ? 'warning' : '';
+        default: return '';
+    }
+}
+
+// -> [{ task, level }] for the ship's pending tasks that are due, urgent first
+function dueTasks(ship, now = new Date()) {
+    return (ship.tasks || [])
+        .filter(task => task.status !== 'done' && !task.done)
+        .map(task => ({ task, level: taskUrgency(task, ship, now) }))
+        .filter(entry => entry.level)
+        .sort((a, b) => (a.level === 'urgent' ? 0 : 1) - (b.level === 'urgent' ? 0 : 1));
+}
+
+module.exports = { STATUS, normalizeStatus, taskUrgency, dueTasks };
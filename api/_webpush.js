@@ -0,0 +1,94 @@
+// Web Push sender for server routes (RFC 8030 / 8291 / 8292) without a push library
+// Payloads are encrypted with aes128gcm for the browser's subscription keys and the request
+// is signed with the VAPID key pair in VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (base64url, raw
+// P-256 point and scalar). VAPID_SUBJECT is a mailto: or https: contact for the push service.
+// A key pair can be made with:
+//   node -e "const e=require('crypto').createECDH('prime256v1');e.generateKeys();console.log(e.getPublicKey('base64url'),e.getPrivateKey('base64url'))"
+
+const crypto = require('crypto');
+
+const TTL_SECONDS = 12 * 3600;
+
+function vapidConfig() {
+    const publicKey = process.env.VAPID_PUBLIC_KEY;
+    const privateKey = process.env.VAPID_PRIVATE_KEY;
+    if (!publicKey || !privateKey) {
+        const error = new Error('Web push not configured');
+        error.code = 'not-configured';
+        throw error;
+    }
+    return { publicKey, privateKey, subject: process.env.VAPID_SUBJECT || 'mailto:ops@coralgroup.co.il' };
+}
+
+// JWT for the push service's origin, signed with ES256
+function vapidToken(endpoint, config) {
+    const point = Buffer.from(config.publicKey, 'base64url');
+    const key = crypto.createPrivateKey({
+        format: 'jwk',
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            x: point.subarray(1, 33).toString('base64url'),
+            y: point.subarray(33, 65).toString('base64url'),
+            d: config.privateKey
+        }
+    });
+    const header = Buffer.from(JSON.stringify({ typ: 'JWT', alg: 'ES256' })).toString('base64url');
+    const claims = Buffer.from(JSON.stringify({
+        aud: new URL(endpoint).origin,
+        exp: Math.floor(Date.now() / 1000) + TTL_SECONDS,
+        sub: config.subject
+    })).toString('base64url');
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+    return `${header}.${claims}.${signature.toString('base64url')}`;
+}
+
+// Single-record aes128gcm body: salt | record size | key id (our public key) | ciphertext
+function encryptPayload(subscription, payload) {
+    const clientKey = Buffer.from(subscription.keys.p256dh, 'base64url');
+    const authSecret = Buffer.from(subscription.keys.auth, 'base64url');
+    const ecdh = crypto.createECDH('prime256v1');
+    const serverKey = ecdh.generateKeys();
+    const shared = ecdh.computeSecret(clientKey);
+    const salt = crypto.randomBytes(16);
+
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), clientKey, serverKey]);
+    const ikm = Buffer.from(crypto.hkdfSync('sha256', shared, authSecret, keyInfo, 32));
+    const cek = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+    const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+    const cipher = crypto.createCipheriv('aes-128-gcm', cek, nonce);
+    // 0x02 marks the last (and only) record
+    const ciphertext = Buffer.concat([cipher.update(Buffer.from(payload, 'utf8')), cipher.update(Buffer.from([2])), cipher.final(), cipher.getAuthTag()]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(4096, 16);
+    header.writeUInt8(serverKey.length, 20);
+    return Buffer.concat([header, serverKey, ciphertext]);
+}
+
+// subscription: { endpoint, keys: { p256dh, auth } } as stored by the app
+// Throws with .expired when the push service no longer knows the subscription
+async function sendPush(subscription, message, config = vapidConfig()) {
+    const response = await fetch(subscription.endpoint, {
+        method: 'POST',
+        headers: {
+            Authorization: `vapid t=${vapidToken(subscription.endpoint, config)}, k=${config.publicKey}`,
+            'Content-Encoding': 'aes128gcm',
+            'Content-Type': 'application/octet-stream',
+            TTL: String(TTL_SECONDS),
+            Urgency: message.urgent ? 'high' : 'normal'
+        },
+        body: encryptPayload(subscription, JSON.stringify(message))
+    });
+    if (!response.ok) {
+        const error = new Error(`Push service returned ${response.status}`);
+        error.status = response.status;
+        error.details = await response.text();
+        error.expired = response.status === 404 || response.status === 410;
+        throw error;
+    }
+}
+
+module.exports = { sendPush, vapidConfig };
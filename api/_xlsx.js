@@ -0,0 +1,98 @@
+// Reads .xlsx attachments on the server without a spreadsheet library.
+// An .xlsx file is a zip of XML parts; each worksheet is turned into tab-separated text,
+// which is what the cargo parser expects. Legacy binary .xls is not supported.
+
+const zlib = require('zlib');
+
+// Central directory of a zip archive -> { entryName: Buffer }
+function unzip(buffer) {
+    const files = {};
+    let end = buffer.length - 22;
+    while (end >= 0 && buffer.readUInt32LE(end) !== 0x06054b50) end--;
+    if (end < 0) throw new Error('Not a zip archive');
+
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) break;
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        files[name] = method === 8 ? zlib.inflateRawSync(data) : data;
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return files;
+}
+
+function unescapeXml(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(Number(code)))
+        .replace(/&amp;/g, '&');
+}
+
+// Rich-text strings are split over several <t> runs
+function textOf(xml) {
+    return unescapeXml((xml.match(/<t[^>]*>[\s\S]*?<\/t>/g) || [])
+        .map(run => run.replace(/<t[^>]*>|<\/t>/g, ''))
+        .join(''));
+}
+
+function columnIndex(ref) {
+    const letters = /^[A-Z]+/.exec(ref)[0];
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function sheetRows(xml, sharedStrings) {
+    const rows = [];
+    (xml.match(/<row[\s\S]*?<\/row>/g) || []).forEach(rowXml => {
+        const row = [];
+        (rowXml.match(/<c [^>]*?(?:\/>|>[\s\S]*?<\/c>)/g) || []).forEach(cellXml => {
+            const ref = /\br="([A-Z]+)\d+"/.exec(cellXml);
+            const type = /\bt="(\w+)"/.exec(cellXml);
+            const raw = /<v>([\s\S]*?)<\/v>/.exec(cellXml);
+            let value = '';
+            if (type && type[1] === 's' && raw) value = sharedStrings[Number(raw[1])] || '';
+            else if (type && type[1] === 'inlineStr') value = textOf(cellXml);
+            else if (raw) value = unescapeXml(raw[1]);
+            row[ref ? columnIndex(ref[1]) : row.length] = value;
+        });
+        if (row.some(value => value !== undefined && value !== '')) {
+            rows.push(Array.from(row, value => (value ?? '').replace(/\s+/g, ' ').trim()));
+        }
+    });
+    return rows;
+}
+
+// Returns [{ name, text }] - one entry per worksheet with tab-separated rows
+function xlsxToText(buffer) {
+    const files = unzip(buffer);
+    const read = name => (files[name] ? files[name].toString('utf8') : '');
+
+    const sharedStrings = (read('xl/sharedStrings.xml').match(/<si>[\s\S]*?<\/si>/g) || []).map(textOf);
+    const workbook = read('xl/workbook.xml');
+    const relations = read('xl/_rels/workbook.xml.rels');
+
+    return (workbook.match(/<sheet [^>]*\/>/g) || []).map(sheetXml => {
+        const name = unescapeXml(/\bname="([^"]*)"/.exec(sheetXml)[1]);
+        const relId = /\br:id="([^"]*)"/.exec(sheetXml)[1];
+        const target = new RegExp(`<Relationship [^>]*Id="${relId}"[^>]*Target="([^"]*)"`).exec(relations)
+            || new RegExp(`<Relationship [^>]*Target="([^"]*)"[^>]*Id="${relId}"`).exec(relations);
+        const path = target ? target[1].replace(/^\/?(xl\/)?/, 'xl/') : null;
+        const rows = path ? sheetRows(read(path), sharedStrings) : [];
+        return { name, text: rows.map(row => row.join('\t')).join('\n') };
+    }).filter(sheet => sheet.text);
+}
+
+module.exports = { xlsxToText };
@@ -1,11 +1,29 @@
 // Vercel Serverless Function for AI Analysis
 // Unified endpoint for all parsing: emails, tally reports, images
+// parseType 'query' answers questions about the fleet with the query tools in _search.js;
+// it reads Firestore with the service account, so it needs the user's Firebase ID token
+// (Authorization: Bearer <token>) and a profile with an assigned role.
+
+const { validateParsed, describeIssuesForRetry } = require('./_parse-validation');
+const { requestClaude, responseText, parseModelJson } = require('./_claude');
+const { answerQuery } = require('./_search');
+const { verifyIdToken, bearerToken } = require('./_auth');
+const { getDocument } = require('./_firestore');
+
+// One retry with the validation errors fed back to the model
+const MAX_ATTEMPTS = 2;
+// Same roles as isMember() in firestore.rules - a pending profile may not read the fleet
+const READER_ROLES = ['operations', 'field_agent', 'trader', 'management'];
+
+async function callClaude(apiKey, systemPrompt, messages) {
+    return responseText(await requestClaude(apiKey, { system: systemPrompt, messages }));
+}
 
 module.exports = async function handler(req, res) {
     // CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
@@ -20,8 +38,55 @@ module.exports = async function handler(req, res) {
         return res.status(500).json({ error: 'API key not configured' });
     }
 
+    if (req.body?.parseType === 'query') {
+        return handleQuery(apiKey, req, res);
+    }
+
+    const { status, body } = await analyze(apiKey, req.body);
+    return res.status(status).json(body);
+};
+
+async function handleQuery(apiKey, req, res) {
+    try {
+        const query = String(req.body.query || '').trim();
+        if (!query) {
+            return res.status(400).json({ error: 'Provide a query' });
+        }
+
+        const user = await verifyIdToken(bearerToken(req));
+        const profile = await getDocument('users', user.uid);
+        if (!profile || !READER_ROLES.includes(profile.role)) {
+            return res.status(403).json({ error: 'Not allowed' });
+        }
+
+        return res.status(200).json({ success: true, ...await answerQuery(apiKey, query) });
+
+    } catch (error) {
+        if (error.code === 'not-configured') {
+            return res.status(500).json({ error: error.message });
+        }
+        if (error.code === 'unauthenticated') {
+            return res.status(401).json({ error: error.message });
+        }
+        if (error.code === 'too-many-rounds') {
+            return res.status(422).json({ error: error.message });
+        }
+        if (error.status) {
+            console.error('Upstream error:', error.details);
+            return res.status(502).json({ error: 'API error', details: error.details });
+        }
+        console.error('Server error:', error);
+        return res.status(500).json({ error: 'Server error', message: error.message });
+    }
+}
+
+// Shared by the HTTP handler and server routes that analyze content themselves (api/ingest-email.js)
+// params: { parseType, content, imageBase64, mimeType, documentBase64, existingShips, currentYear }
+async function analyze(apiKey, params) {
+    const result = (status, body) => ({ status, body });
+
     try {
-        const { parseType, content, imageBase64, mimeType, existingShips, currentYear } = req.body;
+        const { parseType, content, imageBase64, mimeType, documentBase64, existingShips, currentYear } = params;
 
         let systemPrompt = '';
         let userPrompt = '';
@@ -350,7 +415,7 @@ Should produce:
             userPrompt = `Analyze this tally/discharge report and extract ALL cargo information by type. Pay special attention to summary tables with Manifest, Previous, Remain values:\n\n${content}`;
         } else if (parseType === 'cargo') {
             // Parse cargo breakdown from BL, manifest, or free text
-            const { cargoTypes } = req.body;
+            const { cargoTypes } = params;
 
             systemPrompt = `You are an expert at extracting cargo information from shipping documents like Bills of Lading (BL), manifests, and email descriptions.
 
@@ -408,34 +473,35 @@ Extract ALL cargo items, AGGREGATE BY CARGO TYPE, and return valid JSON:
 Return ONLY valid JSON.`;
 
             userPrompt = `Extract and AGGREGATE cargo breakdown by cargo type from this text. Sum all weights and quantities for each cargo type:\n\n${content}`;
-        } else if (parseType === 'query') {
-            // AI-powered search query
-            const { query, context } = req.body;
-
-            systemPrompt = `You are a helpful assistant for a ship operations management system. Answer questions based on the provided context about ships, voyages, cargo, and operations.
-
-CONTEXT DATA:
-${context || 'No context provided'}
-
-INSTRUCTIONS:
-- Answer questions accurately based on the data
-- For dates, format in Hebrew locale (DD/MM/YYYY)
-- For weights, use MT (metric tons)
-- If information is not available, say so clearly
-- Keep answers concise but complete
-- Answer in Hebrew if the question is in Hebrew
-
-Return your answer as plain text, NOT JSON.`;
-
-            userPrompt = query || content;
         } else {
-            return res.status(400).json({ error: 'Invalid parseType. Use "email", "message", "tally", "cargo", or "query"' });
+            return result(400, { error: 'Invalid parseType. Use "email", "message", "tally", "cargo", or "query"' });
         }
 
         // Build messages array
         let messages = [];
 
-        if (imageBase64) {
+        if (documentBase64) {
+            // PDF attachments go to the model as a document block - it reads text and scans alike
+            messages = [
+                {
+                    role: 'user',
+                    content: [
+                        {
+                            type: 'document',
+                            source: {
+                                type: 'base64',
+                                media_type: 'application/pdf',
+                                data: documentBase64
+                            }
+                        },
+                        {
+                            type: 'text',
+                            text: userPrompt || 'Extract all shipping information from this document. Return JSON only.'
+                        }
+                    ]
+                }
+            ];
+        } else if (imageBase64) {
             // Image analysis with Claude Vision
             messages = [
                 {
@@ -456,7 +522,7 @@ Return your answer as plain text, NOT JSON.`;
                     ]
                 }
             ];
-        } else if (content || (parseType === 'query' && req.body.query)) {
+        } else if (content) {
             messages = [
                 {
                     role: 'user',
@@ -464,71 +530,70 @@ Return your answer as plain text, NOT JSON.`;
                 }
             ];
         } else {
-            return res.status(400).json({ error: 'Provide either text content, query, or image' });
+            return result(400, { error: 'Provide either text content or image' });
         }
 
-        // Call Claude API
-        const response = await fetch('https://api.anthropic.com/v1/messages', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': apiKey,
-                'anthropic-version': '2023-06-01'
-            },
-            body: JSON.stringify({
-                model: 'claude-sonnet-4-20250514',
-                max_tokens: 4096,
-                system: systemPrompt,
-                messages: messages
-            })
-        });
-
-        if (!response.ok) {
-            const errorData = await response.text();
-            console.error('API error:', errorData);
-            return res.status(response.status).json({
-                error: 'API error',
-                details: errorData
-            });
-        }
+        let text = null;
+        let parsedData;
+        let warnings = [];
+        let attempts = 0;
+
+        while (attempts < MAX_ATTEMPTS) {
+            attempts++;
+            text = await callClaude(apiKey, systemPrompt, messages);
+            if (text === null) {
+                return result(500, { error: 'No text response' });
+            }
 
-        const data = await response.json();
+            parsedData = parseModelJson(text);
+            warnings = parsedData === undefined
+                ? [{ path: '', code: 'json', message: 'response is not valid JSON', severity: 'error' }]
+                : validateParsed(parseType, parsedData);
+            // Warnings (totals that don't add up, odd dates) often match the document itself - only errors are retried
+            const errors = warnings.filter(w => w.severity === 'error');
+            if (errors.length === 0) break;
 
-        // Extract the text content from Claude's response
-        const textContent = data.content.find(c => c.type === 'text');
-        if (!textContent) {
-            return res.status(500).json({ error: 'No text response' });
+            console.warn(`Validation failed (attempt ${attempts}):`, JSON.stringify(errors));
+            messages = [
+                ...messages,
+                { role: 'assistant', content: text },
+                { role: 'user', content: describeIssuesForRetry(errors) }
+            ];
         }
 
-        // Try to parse as JSON
-        let parsedData;
-        try {
-            let jsonText = textContent.text.trim();
-            // Remove markdown code blocks if present
-            if (jsonText.startsWith('```')) {
-                jsonText = jsonText.replace(/```json?\n?/g, '').replace(/```\s*$/g, '').trim();
-            }
-            parsedData = JSON.parse(jsonText);
-        } catch (parseError) {
-            console.error('JSON parse error:', parseError, 'Raw:', textContent.text);
-            return res.status(200).json({
-                success: true,
-                raw: textContent.text,
-                parsed: null,
-                message: 'Could not parse as JSON, returning raw analysis'
+        if (parsedData === undefined) {
+            console.error('JSON parse error after retries. Raw:', text);
+            return result(502, {
+                success: false,
+                error: 'Could not parse the analysis as JSON',
+                raw: text,
+                attempts
             });
         }
 
-        return res.status(200).json({
+        // Whatever still fails after the retry goes back to the UI to highlight before applying
+        return result(200, {
             success: true,
-            parsed: parsedData
+            parsed: parsedData,
+            valid: !warnings.some(w => w.severity === 'error'),
+            warnings,
+            attempts
         });
 
     } catch (error) {
+        if (error.status) {
+            console.error('API error:', error.details);
+            return result(error.status, {
+                error: 'API error',
+                details: error.details
+            });
+        }
         console.error('Server error:', error);
-        return res.status(500).json({
+        return result(500, {
             error: 'Server error',
             message: error.message
         });
     }
 }
+
+module.exports.analyze = analyze;
@@ -0,0 +1,393 @@
+// Vercel Serverless Function for inbound email
+// Accepts a raw RFC 822 (.eml) message - e.g. from a mail-forwarding rule - and runs the body
+// and every supported attachment through the analysis endpoint:
+//   body text          -> email
+//   PDF, images        -> tally
+//   Excel (.xlsx), CSV -> cargo
+// Each result is stored in the `inbox` collection as a pending update, linked to the ship
+// it matched, for someone to review and apply in the app.
+//
+// POST /api/ingest-email?secret=...  (or header x-ingest-secret)
+//   body: the raw message (message/rfc822, text/plain or application/octet-stream),
+//         or JSON { eml, encoding: 'base64' | 'utf8' }
+
+const crypto = require('crypto');
+const { analyze } = require('./analyze');
+const { parseEml } = require('./_mime');
+const { xlsxToText } = require('./_xlsx');
+const { listDocuments, getDocument, setDocument } = require('./_firestore');
+
+// Vercel caps the request body at 4.5MB, and the message carries attachments in base64
+const MAX_ATTACHMENT_MB = 3;
+// Signature logos and tracking pixels are smaller than any real tally photo
+const MIN_IMAGE_BYTES = 10 * 1024;
+const MAX_SOURCE_TEXT = 20000;
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+function readRawBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+async function readMessage(req) {
+    if ((req.headers['content-type'] || '').includes('application/json')) {
+        const { eml, encoding } = req.body || {};
+        if (!eml) return null;
+        return Buffer.from(eml, encoding === 'base64' ? 'base64' : 'utf8');
+    }
+    const raw = await readRawBody(req);
+    return raw.length > 0 ? raw : null;
+}
+
+// ==================== Routing ====================
+function extensionOf(fileName) {
+    const match = /\.([a-z0-9]+)$/i.exec(fileName || '');
+    return match ? match[1].toLowerCase() : '';
+}
+
+// -> { parseType, params } to analyze, or { skipped: reason }
+function routeAttachment(attachment, context) {
+    const ext = extensionOf(attachment.fileName);
+    const type = attachment.contentType;
+
+    if (attachment.size > MAX_ATTACHMENT_MB * 1024 * 1024) {
+        return { skipped: `larger than ${MAX_ATTACHMENT_MB}MB` };
+    }
+    if (type === 'application/pdf' || ext === 'pdf') {
+        return {
+            parseType: 'tally',
+            params: { documentBase64: attachment.content.toString('base64'), content: context }
+        };
+    }
+    if (IMAGE_TYPES.includes(type) || ['jpg', 'jpeg', 'png', 'gif', 'webp'].includes(ext)) {
+        if (attachment.size < MIN_IMAGE_BYTES) return { skipped: 'inline image' };
+        return {
+            parseType: 'tally',
+            params: {
+                imageBase64: attachment.content.toString('base64'),
+                mimeType: IMAGE_TYPES.includes(type) ? type : `image/${ext === 'jpg' ? 'jpeg' : ext}`,
+                content: context
+            }
+        };
+    }
+    if (ext === 'xlsx' || type === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+        const sheets = xlsxToText(attachment.content);
+        if (sheets.length === 0) return { skipped: 'empty workbook' };
+        const text = sheets.map(sheet => `Sheet: ${sheet.name}\n${sheet.text}`).join('\n\n');
+        return { parseType: 'cargo', params: { content: text }, sourceText: text };
+    }
+    if (ext === 'csv' || type === 'text/csv') {
+        const text = attachment.content.toString('utf8');
+        return { parseType: 'cargo', params: { content: text }, sourceText: text };
+    }
+    if (ext === 'xls') {
+        return { skipped: 'legacy .xls is not supported - save as .xlsx' };
+    }
+    return { skipped: 'unsupported attachment type' };
+}
+
+// ==================== Ship matching ====================
+// Same order as resolveVesselMatch in index.html: IMO, exact name, the alias table
+// (`vesselAliases` and the aliases of reference vessels), then partial or 70% similarity.
+// When the hull has several voyages, ships still in port or on their way come first, then
+// the message's voyage number, then the ETA closest to the message's.
+// Same keys as vesselNameKey and normalizeImo in index.html
+function normalizeName(name) {
+    return String(name || '').trim().toUpperCase()
+        .replace(/^M\.?\s?\/?V\.?\s+/, '')
+        .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+function normalizeImo(value) {
+    const digits = String(value ?? '').replace(/^\s*IMO\W*/i, '').trim();
+    return /^\d{7}$/.test(digits) ? digits : '';
+}
+
+function similarity(a, b) {
+    const longer = a.length > b.length ? a : b;
+    const shorter = a.length > b.length ? b : a;
+    if (longer.length === 0) return 1;
+    let previous = Array.from({ length: shorter.length + 1 }, (v, i) => i);
+    for (let i = 1; i <= longer.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= shorter.length; j++) {
+            current[j] = longer[i - 1] === shorter[j - 1]
+                ? previous[j - 1]
+                : Math.min(previous[j - 1], previous[j], current[j - 1]) + 1;
+        }
+        previous = current;
+    }
+    return (longer.length - previous[shorter.length]) / longer.length;
+}
+
+// Groups of names known to be the same hull: [[name, alias, ...], ...]
+async function loadAliasGroups() {
+    const [aliases, vessels] = await Promise.all([
+        listDocuments('vesselAliases', ['alias', 'name']),
+        listDocuments('referenceData/vessels/items', ['name', 'aliases', 'imo'])
+    ]);
+    return {
+        groups: [
+            ...aliases.map(entry => [entry.alias, entry.name]),
+            ...vessels.map(vessel => [vessel.name, ...(vessel.aliases || [])])
+        ].map(names => names.map(normalizeName).filter(Boolean)),
+        vessels
+    };
+}
+
+function aliasKeys(names, aliases) {
+    const keys = new Set(names.map(normalizeName).filter(Boolean));
+    let added = true;
+    while (added) {
+        added = false;
+        aliases.groups.forEach(group => {
+            if (!group.some(key => keys.has(key))) return;
+            group.forEach(key => {
+                if (!keys.has(key)) {
+                    keys.add(key);
+                    added = true;
+                }
+            });
+        });
+    }
+    return keys;
+}
+
+function rankVoyages(candidates, query) {
+    const voyage = normalizeName(query.voyage);
+    const eta = query.eta && !isNaN(new Date(query.eta)) ? new Date(query.eta).getTime() : null;
+    const distance = ship => (eta !== null && ship.eta && !isNaN(new Date(ship.eta))
+        ? Math.abs(new Date(ship.eta).getTime() - eta)
+        : Infinity);
+    return [...candidates].sort((a, b) =>
+        (a.status === 'Sailed') - (b.status === 'Sailed')
+        || (voyage ? (normalizeName(b.voyage) === voyage) - (normalizeName(a.voyage) === voyage) : 0)
+        || distance(a) - distance(b));
+}
+
+// query: { name, variations?, imo?, voyage?, eta? }
+function matchShip(ships, aliases, query) {
+    const names = [query.name, ...(query.variations || [])].filter(Boolean);
+    const imo = normalizeImo(query.imo);
+    const best = candidates => rankVoyages(candidates, query)[0] || null;
+
+    if (imo) {
+        const byImo = ships.filter(s => normalizeImo(s.imoNumber) === imo);
+        if (byImo.length > 0) return best(byImo);
+        const reference = aliases.vessels.find(v => normalizeImo(v.imo) === imo);
+        if (reference) {
+            const keys = aliasKeys([reference.name, ...(reference.aliases || [])], aliases);
+            const byReference = ships.filter(s => keys.has(normalizeName(s.name)) && !normalizeImo(s.imoNumber));
+            if (byReference.length > 0) return best(byReference);
+        }
+    }
+    if (names.length === 0) return null;
+
+    const direct = new Set(names.map(normalizeName));
+    const byName = ships.filter(s => direct.has(normalizeName(s.name)));
+    if (byName.length > 0) return best(byName);
+
+    const keys = aliasKeys(names, aliases);
+    const byAlias = ships.filter(s => keys.has(normalizeName(s.name)));
+    if (byAlias.length > 0) return best(byAlias);
+
+    return best(ships.filter(s => {
+        const name = normalizeName(s.name);
+        return name && names.some(search => {
+            const key = normalizeName(search);
+            return key && (name.includes(key) || key.includes(name) || similarity(key, name) > 0.7);
+        });
+    }));
+}
+
+function vesselQuery(parsed) {
+    return {
+        name: parsed?.vesselName,
+        variations: parsed?.vesselNameVariations,
+        imo: parsed?.imoNumber,
+        voyage: parsed?.voyageNumber,
+        eta: parsed?.dates?.eta?.iso
+    };
+}
+
+function matchShipInText(ships, text) {
+    const normalized = normalizeName(text);
+    return ships
+        .filter(s => normalizeName(s.name).length >= 4 && normalized.includes(normalizeName(s.name)))
+        .sort((a, b) => (a.status === 'Sailed') - (b.status === 'Sailed'))[0] || null;
+}
+
+// ==================== Handler ====================
+module.exports = async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const apiKey = process.env.ANTHROPIC_API_KEY;
+    if (!apiKey) {
+        return res.status(500).json({ error: 'API key not configured' });
+    }
+    // The route writes with admin rights, so it only runs with the shared secret
+    const secret = process.env.INGEST_SECRET;
+    if (!secret) {
+        return res.status(500).json({ error: 'Ingest secret not configured' });
+    }
+    const provided = Buffer.from(String(req.headers['x-ingest-secret'] || (req.query && req.query.secret) || ''));
+    if (provided.length !== Buffer.byteLength(secret) || !crypto.timingSafeEqual(provided, Buffer.from(secret))) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+        const raw = await readMessage(req);
+        if (!raw) {
+            return res.status(400).json({ error: 'Provide the raw message as the request body' });
+        }
+
+        const message = parseEml(raw);
+        // Forwarding rules retry on timeouts - the same message always maps to the same inbox ids
+        const messageKey = crypto.createHash('sha1')
+            .update(message.messageId || raw)
+            .digest('hex')
+            .slice(0, 20);
+
+        const ships = await listDocuments('ships', ['name', 'voyage', 'status', 'eta', 'imoNumber']);
+        const aliases = await loadAliasGroups();
+        const context = `Attachment from email "${message.subject}" (from ${message.from})`;
+
+        const parts = [];
+        if (message.text) {
+            const content = `Subject: ${message.subject}\nFrom: ${message.from}\n`
+                + `${message.date ? `Date: ${message.date.toUTCString()}\n` : ''}\n${message.text}`;
+            parts.push({
+                kind: 'body',
+                parseType: 'email',
+                params: {
+                    content,
+                    existingShips: ships.filter(s => s.status !== 'Sailed').map(s => s.name).filter(Boolean),
+                    currentYear: (message.date || new Date()).getFullYear()
+                },
+                sourceText: content
+            });
+        }
+        message.attachments.forEach(attachment => {
+            let route;
+            try {
+                route = routeAttachment(attachment, context);
+            } catch (error) {
+                route = { skipped: `could not be read: ${error.message}` };
+            }
+            parts.push({
+                kind: 'attachment',
+                fileName: attachment.fileName,
+                contentType: attachment.contentType,
+                size: attachment.size,
+                ...route
+            });
+        });
+
+        // A retry after a run that stopped part way stores only the parts still missing
+        const stored = await Promise.all(parts.map((part, index) => getDocument('inbox', `${messageKey}-${index}`)));
+        if (stored.every(Boolean)) {
+            return res.status(200).json({ success: true, duplicate: true, messageKey });
+        }
+
+        // Parts are independent, so they are analyzed side by side to stay within the function timeout
+        const analyzed = await Promise.all(parts.map((part, index) => (part.skipped || stored[index]
+            ? null
+            : analyze(apiKey, { parseType: part.parseType, ...part.params }))));
+
+        // The body usually names the vessel; attachments without a vessel name inherit its match
+        const bodyIndex = parts.findIndex(p => p.kind === 'body');
+        const bodyParsed = bodyIndex >= 0 ? (stored[bodyIndex]?.parsed ?? analyzed[bodyIndex]?.body?.parsed) : null;
+        const bodyShip = matchShip(ships, aliases, vesselQuery(bodyParsed)) || matchShipInText(ships, message.subject);
+
+        const receivedAt = (message.date || new Date()).toISOString();
+        const results = [];
+        for (let index = 0; index < parts.length; index++) {
+            const part = parts[index];
+            const id = `${messageKey}-${index}`;
+            if (stored[index]) {
+                const { kind, fileName, parseType, shipId, skipped, error } = stored[index];
+                results.push({ id, kind, fileName, parseType, shipId, skipped, error, duplicate: true });
+                continue;
+            }
+            const body = analyzed[index]?.body || {};
+            const parsed = body.parsed || null;
+
+            let ship = matchShip(ships, aliases, vesselQuery(parsed));
+            let matchedBy = ship ? 'vesselName' : null;
+            if (!ship && bodyShip && part.kind === 'attachment') {
+                ship = bodyShip;
+                matchedBy = 'email';
+            }
+            if (!ship) {
+                ship = matchShipInText(ships, message.subject);
+                matchedBy = ship ? 'subject' : null;
+            }
+
+            const entry = {
+                source: 'email',
+                status: 'pending',
+                messageId: message.messageId,
+                messageKey,
+                subject: message.subject,
+                from: message.from,
+                to: message.to,
+                receivedAt,
+                kind: part.kind,
+                fileName: part.fileName || null,
+                contentType: part.contentType || null,
+                size: part.size || null,
+                parseType: part.parseType || null,
+                sourceText: part.sourceText ? part.sourceText.slice(0, MAX_SOURCE_TEXT) : null,
+                parsed,
+                messageType: parsed?.messageType || null,
+                confidence: parsed?.messageTypeConfidence ?? parsed?.extractionConfidence ?? parsed?.confidence ?? null,
+                warnings: body.warnings || [],
+                valid: body.valid ?? null,
+                bulkMatches: (parsed?.bulkVessels || []).map(vessel => {
+                    const match = matchShip(ships, aliases, { name: vessel.vesselName, eta: vessel.eta?.iso || vessel.etb?.iso });
+                    return { vesselName: vessel.vesselName || null, shipId: match?.id || null, shipName: match?.name || null };
+                }),
+                shipId: ship?.id || null,
+                shipName: ship?.name || null,
+                matchedBy,
+                skipped: part.skipped || null,
+                error: part.skipped ? null : (body.success ? null : (body.error || 'Analysis failed')),
+                createdAt: new Date().toISOString(),
+                createdBy: 'email-ingest'
+            };
+
+            await setDocument('inbox', id, entry);
+            results.push({
+                id,
+                kind: entry.kind,
+                fileName: entry.fileName,
+                parseType: entry.parseType,
+                shipId: entry.shipId,
+                skipped: entry.skipped,
+                error: entry.error
+            });
+        }
+
+        return res.status(200).json({ success: true, messageKey, results });
+
+    } catch (error) {
+        if (error.code === 'not-configured') {
+            return res.status(500).json({ error: error.message });
+        }
+        if (error.status) {
+            console.error('Firestore error:', error.details);
+            return res.status(502).json({ error: 'Storage error', details: error.details });
+        }
+        console.error('Server error:', error);
+        return res.status(500).json({
+            error: 'Server error',
+            message: error.message
+        });
+    }
+};
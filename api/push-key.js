@@ -0,0 +1,15 @@
+// Vercel Serverless Function - public VAPID key the app subscribes to web push with
+// GET /api/push-key -> { publicKey }
+
+const { vapidConfig } = require('./_webpush');
+
+module.exports = async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+    try {
+        return res.status(200).json({ publicKey: vapidConfig().publicKey });
+    } catch (error) {
+        return res.status(500).json({ error: error.message });
+    }
+};
@@ -0,0 +1,118 @@
+// Vercel Serverless Function for outgoing email
+// Sends a message composed in the app over SMTP (settings in _smtp.js) and records it in the
+// ship's `sendLog` subcollection: who sent it, when, to whom, with which template and files.
+//
+// POST /api/send-email
+//   headers: Authorization: Bearer <Firebase ID token>
+//   body: { shipId, template, to: [], cc: [], subject, text,
+//           attachments: [{ fileName, contentType, base64 }] }
+
+const { sendMail, smtpConfig, isValidAddress, addressOf } = require('./_smtp');
+const { verifyIdToken, bearerToken } = require('./_auth');
+const { getDocument, setDocument } = require('./_firestore');
+
+const MAX_RECIPIENTS = 50;
+// Vercel caps the request body at 4.5MB, and base64 adds a third
+const MAX_ATTACHMENTS_MB = 3;
+// Same roles as canWriteOperational() in firestore.rules
+const SENDER_ROLES = ['operations', 'field_agent', 'trader'];
+
+function recipientList(value) {
+    return [...new Set((Array.isArray(value) ? value : []).map(v => String(v).trim()).filter(Boolean))];
+}
+
+module.exports = async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const config = smtpConfig();
+
+        const user = await verifyIdToken(bearerToken(req));
+        const profile = await getDocument('users', user.uid);
+        if (!profile || !SENDER_ROLES.includes(profile.role)) {
+            return res.status(403).json({ error: 'Not allowed to send email' });
+        }
+
+        const { shipId, template, subject, text } = req.body || {};
+        const to = recipientList(req.body?.to);
+        const cc = recipientList(req.body?.cc).filter(address => !to.includes(address));
+        const invalid = [...to, ...cc].filter(address => !isValidAddress(address));
+        if (!shipId || !subject || to.length === 0) {
+            return res.status(400).json({ error: 'shipId, subject and at least one recipient are required' });
+        }
+        if (invalid.length > 0) {
+            return res.status(400).json({ error: `Invalid address: ${invalid.join(', ')}` });
+        }
+        if (to.length + cc.length > MAX_RECIPIENTS) {
+            return res.status(400).json({ error: `At most ${MAX_RECIPIENTS} recipients` });
+        }
+
+        const attachments = (req.body.attachments || []).map(attachment => ({
+            fileName: String(attachment.fileName || 'attachment').replace(/[\r\n"\\/]+/g, '_'),
+            contentType: attachment.contentType || 'application/octet-stream',
+            content: Buffer.from(attachment.base64 || '', 'base64')
+        }));
+        const totalBytes = attachments.reduce((sum, a) => sum + a.content.length, 0);
+        if (totalBytes > MAX_ATTACHMENTS_MB * 1024 * 1024) {
+            return res.status(413).json({ error: `Attachments larger than ${MAX_ATTACHMENTS_MB}MB` });
+        }
+
+        const ship = await getDocument('ships', shipId);
+        if (!ship) {
+            return res.status(404).json({ error: 'Ship not found' });
+        }
+
+        const sent = await sendMail({
+            to,
+            cc,
+            replyTo: isValidAddress(user.email || '') ? user.email : null,
+            subject,
+            text: text || '',
+            attachments
+        }, config);
+
+        // The message is out - a failed log write must not make the app send it again
+        const sentAt = new Date().toISOString();
+        const logId = sent.messageId.split('@')[0];
+        const logged = await setDocument(`ships/${encodeURIComponent(shipId)}/sendLog`, logId, {
+            template: template || null,
+            subject,
+            to: to.map(addressOf),
+            cc: cc.map(addressOf),
+            attachments: attachments.map(a => ({ fileName: a.fileName, contentType: a.contentType, size: a.content.length })),
+            messageId: sent.messageId,
+            voyage: ship.voyage || null,
+            sentAt,
+            sentBy: profile.displayName || user.email || null,
+            sentByUid: user.uid
+        }).then(() => true, error => {
+            console.error('Send log write failed:', error.details || error);
+            return false;
+        });
+
+        return res.status(200).json({ success: true, logged, logId, messageId: sent.messageId, sentAt });
+
+    } catch (error) {
+        if (error.code === 'not-configured' || error.code === 'insecure') {
+            return res.status(500).json({ error: error.message });
+        }
+        if (error.code === 'unauthenticated') {
+            return res.status(401).json({ error: error.message });
+        }
+        if (error.smtpCode) {
+            console.error('SMTP error:', error.message);
+            return res.status(502).json({ error: 'Mail server rejected the message', details: error.message });
+        }
+        if (error.status) {
+            console.error('Firestore error:', error.details);
+            return res.status(502).json({ error: 'Storage error', details: error.details });
+        }
+        console.error('Server error:', error);
+        return res.status(500).json({
+            error: 'Server error',
+            message: error.message
+        });
+    }
+};
@@ -0,0 +1,127 @@
+// Vercel Serverless Function for shared voyage status links
+// A share link is a random token that operations hands to an owner or receiver. Only its
+// SHA-256 is stored (shareLinks/{hash}), so the link cannot be rebuilt from the database.
+// The response is built field by field from the ship - notes, trader flags, contacts and
+// everything else not listed below never leave the server. Every access is logged in
+// shareLinks/{hash}/accessLog.
+//
+// GET /api/share
+//   headers: Authorization: Bearer <share token>   (share.html reads it from the URL fragment)
+
+const crypto = require('crypto');
+const { bearerToken } = require('./_auth');
+const { normalizeStatus, STATUS } = require('./_tasks');
+const { dischargeProgress } = require('./_discharge');
+const { getDocument, setDocument, updateDocument } = require('./_firestore');
+
+// Same labels as VESSEL_LIFECYCLE in index.html
+const STATUS_LABELS = {
+    [STATUS.NOMINATED]: 'Nominated',
+    [STATUS.EXPECTED]: 'Expected',
+    [STATUS.AT_ANCHOR]: 'At Anchor',
+    [STATUS.BERTHED]: 'Berthed',
+    [STATUS.UNDER_OPERATION]: 'Under Discharge',
+    [STATUS.COMPLETED]: 'Completed',
+    [STATUS.SAILED]: 'Sailed'
+};
+
+// portStatus events shown on the page, in SOF order
+const EVENTS = [
+    ['arrivedOnRoads', 'Arrived on roads'],
+    ['norTendered', 'NOR tendered'],
+    ['vesselBerthed', 'Berthed'],
+    ['dlCommenced', 'Discharge commenced'],
+    ['dlCompleted', 'Discharge completed'],
+    ['sailed', 'Sailed']
+];
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function publicVoyage(ship, link) {
+    const status = normalizeStatus(ship);
+    const portStatus = ship.portStatus || {};
+    return {
+        vessel: ship.name || '',
+        voyage: ship.voyage || '',
+        port: ship.port || '',
+        berth: ship.berth || '',
+        status: STATUS_LABELS[status] || status,
+        eta: ship.eta || null,
+        etb: ship.etb?.displayValue || ship.expected_berth_time || null,
+        expectedFinish: status === STATUS.UNDER_OPERATION ? ship.expected_finish_time || null : null,
+        events: EVENTS
+            .filter(([key]) => portStatus[key]?.date)
+            .map(([key, label]) => ({ label, date: portStatus[key].date, time: portStatus[key].time || '' })),
+        progress: dischargeProgress(ship),
+        // Only the remarks operations picked for this link
+        remarks: (link.remarks || []).map(r => ({ date: r.date || '', text: r.text || '' })),
+        updatedAt: ship.updatedAt || null,
+        expiresAt: link.expiresAt
+    };
+}
+
+function clientAddress(req) {
+    return String(req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.socket?.remoteAddress || null;
+}
+
+// A failed log write is reported but does not stop the page from loading
+async function logAccess(id, link, req) {
+    const at = new Date().toISOString();
+    try {
+        await setDocument(`shareLinks/${id}/accessLog`, crypto.randomUUID(), {
+            at,
+            ip: clientAddress(req),
+            userAgent: String(req.headers['user-agent'] || '').slice(0, 300)
+        });
+        await updateDocument('shareLinks', id, { lastAccessAt: at, accessCount: (link.accessCount || 0) + 1 });
+    } catch (error) {
+        console.error('Share access log write failed:', error.details || error.message);
+    }
+}
+
+module.exports = async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-Robots-Tag', 'noindex');
+
+    try {
+        const token = bearerToken(req);
+        if (!token) {
+            return res.status(401).json({ error: 'Missing share token' });
+        }
+
+        const id = hashToken(token);
+        const link = await getDocument('shareLinks', id);
+        // Unknown and revoked links look the same from outside
+        if (!link || link.revokedAt) {
+            return res.status(404).json({ error: 'This link is not valid' });
+        }
+        if (!link.expiresAt || new Date(link.expiresAt) < new Date()) {
+            return res.status(410).json({ error: 'This link has expired' });
+        }
+
+        // A voyage that finished moves to the archive
+        const ship = await getDocument('ships', link.shipId) || await getDocument('archived', link.shipId);
+        if (!ship || (ship.voyage || '') !== (link.voyage || '')) {
+            return res.status(410).json({ error: 'This voyage is no longer available' });
+        }
+
+        await logAccess(id, link, req);
+        return res.status(200).json({ success: true, voyage: publicVoyage(ship, link) });
+
+    } catch (error) {
+        if (error.code === 'not-configured') {
+            return res.status(500).json({ error: error.message });
+        }
+        if (error.status) {
+            console.error('Firestore error:', error.details);
+            return res.status(502).json({ error: 'Storage error' });
+        }
+        console.error('Server error:', error);
+        return res.status(500).json({ error: 'Server error' });
+    }
+};
@@ -0,0 +1,268 @@
+// Vercel Serverless Function for task reminders
+// Evaluates every ship's pending tasks with the due rules in _tasks.js and notifies users by
+// email and/or web push, as chosen in their settings (users/{uid}/private/settings.notifications):
+//   mode=digest - morning summary of everything urgent or coming due, per user
+//   mode=alerts - only tasks that turned urgent since the last run (state in `taskAlerts`)
+// Traders hear only about the vessels flagged to them, like in the app.
+//
+// GET /api/task-reminders?mode=digest|alerts
+//   headers: Authorization: Bearer <CRON_SECRET>   (sent by Vercel Cron, see vercel.json)
+// POST /api/task-reminders?mode=alerts&shipId=...
+//   headers: Authorization: Bearer <Firebase ID token> - the app calls this after a status
+//   change, so e.g. a missing lashing approval is reported when discharge starts
+
+const crypto = require('crypto');
+const { dueTasks } = require('./_tasks');
+const { sendMail, smtpConfig, isValidAddress } = require('./_smtp');
+const { sendPush, vapidConfig } = require('./_webpush');
+const { verifyIdToken, bearerToken } = require('./_auth');
+const { listDocuments, getDocument, setDocument, updateDocument } = require('./_firestore');
+
+const SHIP_FIELDS = ['name', 'voyage', 'status', 'eta', 'port', 'tasks', 'trader_flag', 'portStatus', 'actualBerthing'];
+// Same roles as canWriteOperational() in firestore.rules
+const TRIGGER_ROLES = ['operations', 'field_agent', 'trader'];
+// Same roles as isMember() - a pending profile hears about nothing
+const READER_ROLES = [...TRIGGER_ROLES, 'management'];
+const TIME_ZONE = 'Asia/Jerusalem';
+
+function isCron(token) {
+    const secret = process.env.CRON_SECRET;
+    if (!secret || !token) return false;
+    const provided = Buffer.from(token);
+    return provided.length === Buffer.byteLength(secret) && crypto.timingSafeEqual(provided, Buffer.from(secret));
+}
+
+function formatTime(value) {
+    if (!value || isNaN(new Date(value))) return '-';
+    return new Date(value).toLocaleString('he-IL', {
+        timeZone: TIME_ZONE, day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+}
+
+function canSeeShip(user, ship) {
+    if (!READER_ROLES.includes(user.role)) return false;
+    return user.role !== 'trader' || ship.trader_flag === user.traderFlag;
+}
+
+// Same list as USER_PRIVATE_FIELDS in index.html
+const PRIVATE_FIELDS = ['email', 'notifications', 'pushSubscriptions'];
+
+// Profile plus the private settings (address, notifications, push subscriptions). Only those
+// fields are taken from the settings doc, so it can never override role or traderFlag.
+async function loadUsers() {
+    const users = await listDocuments('users');
+    return Promise.all(users.map(async u => {
+        const settings = await getDocument(`users/${u.id}/private`, 'settings') || {};
+        const user = { ...u, uid: u.id };
+        PRIVATE_FIELDS.forEach(k => { if (settings[k] !== undefined) user[k] = settings[k]; });
+        return user;
+    }));
+}
+
+function shipTitle(ship) {
+    return [ship.name, ship.voyage].filter(Boolean).join(' ');
+}
+
+function shipHeading(ship) {
+    return [shipTitle(ship), ship.port, `ETA ${formatTime(ship.eta)}`, ship.status].filter(Boolean).join(' - ');
+}
+
+// ==================== Messages ====================
+function taskLine(entry) {
+    return `${entry.level === 'urgent' ? '[דחוף]' : '[לטיפול]'} ${entry.task.title}`;
+}
+
+function digestMessage(items) {
+    const urgent = items.reduce((sum, item) => sum + item.due.filter(e => e.level === 'urgent').length, 0);
+    const total = items.reduce((sum, item) => sum + item.due.length, 0);
+    const date = new Date().toLocaleDateString('he-IL', { timeZone: TIME_ZONE });
+    const text = [
+        `סיכום משימות ליום ${date}`,
+        '',
+        ...items.map(({ ship, due }) => [
+            shipHeading(ship),
+            ...due.map(entry => `  ${taskLine(entry)}`),
+            ''
+        ].join('\n')),
+        process.env.APP_URL || ''
+    ].join('\n');
+    return {
+        subject: `סיכום משימות יומי - ${date} - ${urgent} דחופות`,
+        text,
+        push: { title: 'סיכום משימות יומי', body: `${urgent} דחופות, ${total - urgent} לטיפול ב-${items.length} אניות`, tag: 'task-digest', urgent: false }
+    };
+}
+
+function alertMessage(items) {
+    const lines = items.flatMap(({ ship, due }) => due.map(entry => `${shipTitle(ship)}: ${entry.task.title}`));
+    return {
+        subject: items.length === 1
+            ? `משימה דחופה - ${shipTitle(items[0].ship)}`
+            : `${lines.length} משימות הפכו לדחופות`,
+        text: [
+            'המשימות הבאות הפכו לדחופות:',
+            '',
+            ...items.map(({ ship, due }) => [
+                shipHeading(ship),
+                ...due.map(entry => `  ${entry.task.title}`),
+                ''
+            ].join('\n')),
+            process.env.APP_URL || ''
+        ].join('\n'),
+        push: { title: 'משימה דחופה', body: lines.join('\n'), tag: 'task-alert', urgent: true }
+    };
+}
+
+// ==================== Delivery ====================
+// Each channel fails on its own - a dead push subscription must not stop the email
+async function deliver(user, message, channels, result) {
+    const settings = user.notifications || {};
+
+    if (settings.email && channels.smtp && isValidAddress(user.email || '')) {
+        try {
+            await sendMail({ to: [user.email], cc: [], subject: message.subject, text: message.text }, channels.smtp);
+            result.emails++;
+        } catch (error) {
+            console.error(`Reminder email to ${user.email} failed:`, error.message);
+            result.failures++;
+        }
+    }
+
+    const subscriptions = user.pushSubscriptions || [];
+    if (settings.push && channels.vapid && subscriptions.length > 0) {
+        const expired = [];
+        for (const subscription of subscriptions) {
+            try {
+                await sendPush(subscription, { ...message.push, url: process.env.APP_URL || '/' }, channels.vapid);
+                result.pushes++;
+            } catch (error) {
+                if (error.expired) expired.push(subscription.endpoint);
+                else {
+                    console.error(`Push to ${user.uid} failed:`, error.details || error.message);
+                    result.failures++;
+                }
+            }
+        }
+        if (expired.length > 0) {
+            await updateDocument(`users/${user.uid}/private`, 'settings', {
+                pushSubscriptions: subscriptions.filter(s => !expired.includes(s.endpoint))
+            });
+        }
+    }
+}
+
+// Channels that are not configured are skipped rather than failing the whole run
+function configuredChannels() {
+    const channels = {};
+    try { channels.smtp = smtpConfig(); } catch (error) { channels.smtp = null; }
+    try { channels.vapid = vapidConfig(); } catch (error) { channels.vapid = null; }
+    return channels;
+}
+
+// ==================== Runs ====================
+async function runDigest(ships, users, channels, result) {
+    const now = new Date();
+    const dueByShip = ships
+        .map(ship => ({ ship, due: dueTasks(ship, now) }))
+        .filter(item => item.due.length > 0);
+
+    for (const user of users.filter(u => u.notifications?.digest)) {
+        const items = dueByShip.filter(item => canSeeShip(user, item.ship));
+        if (items.length === 0) continue;
+        result.users++;
+        await deliver(user, digestMessage(items), channels, result);
+    }
+}
+
+// Compares each task's level with the last run and reports the ones that became urgent
+async function runAlerts(ships, users, channels, result) {
+    const now = new Date();
+    const turnedUrgent = [];
+
+    for (const ship of ships) {
+        const current = dueTasks(ship, now);
+        const levels = {};
+        current.forEach(entry => { levels[entry.task.key] = entry.level; });
+
+        const state = await getDocument('taskAlerts', ship.id);
+        const previous = state && state.voyage === (ship.voyage || null) ? state.levels || {} : {};
+        const due = current.filter(entry => entry.level === 'urgent' && previous[entry.task.key] !== 'urgent');
+        if (due.length > 0) turnedUrgent.push({ ship, due });
+
+        const changed = Object.keys({ ...levels, ...previous }).some(key => levels[key] !== previous[key]);
+        if (changed) {
+            await setDocument('taskAlerts', ship.id, {
+                voyage: ship.voyage || null,
+                levels,
+                updatedAt: now.toISOString()
+            });
+        }
+    }
+
+    result.alerts = turnedUrgent.reduce((sum, item) => sum + item.due.length, 0);
+    if (turnedUrgent.length === 0) return;
+
+    for (const user of users.filter(u => u.notifications?.alerts)) {
+        const items = turnedUrgent.filter(item => canSeeShip(user, item.ship));
+        if (items.length === 0) continue;
+        result.users++;
+        await deliver(user, alertMessage(items), channels, result);
+    }
+}
+
+// ==================== Handler ====================
+module.exports = async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const mode = req.query?.mode;
+    if (mode !== 'digest' && mode !== 'alerts') {
+        return res.status(400).json({ error: 'mode must be digest or alerts' });
+    }
+
+    try {
+        const token = bearerToken(req);
+        const shipId = req.query?.shipId || null;
+        if (!isCron(token)) {
+            // Signed-in users may only ask for an alert check on one ship
+            const user = await verifyIdToken(token);
+            const profile = await getDocument('users', user.uid);
+            if (!profile || !TRIGGER_ROLES.includes(profile.role)) {
+                return res.status(403).json({ error: 'Not allowed' });
+            }
+            if (mode !== 'alerts' || !shipId) {
+                return res.status(400).json({ error: 'Only mode=alerts for a single shipId' });
+            }
+        }
+
+        const channels = configuredChannels();
+        const allShips = shipId
+            ? [await getDocument('ships', shipId)].filter(Boolean)
+            : await listDocuments('ships', SHIP_FIELDS);
+        const users = await loadUsers();
+
+        const result = { mode, ships: allShips.length, users: 0, alerts: 0, emails: 0, pushes: 0, failures: 0 };
+        if (mode === 'digest') await runDigest(allShips, users, channels, result);
+        else await runAlerts(allShips, users, channels, result);
+
+        return res.status(200).json({ success: true, ...result });
+
+    } catch (error) {
+        if (error.code === 'not-configured') {
+            return res.status(500).json({ error: error.message });
+        }
+        if (error.code === 'unauthenticated') {
+            return res.status(401).json({ error: error.message });
+        }
+        if (error.status) {
+            console.error('Firestore error:', error.details);
+            return res.status(502).json({ error: 'Storage error', details: error.details });
+        }
+        console.error('Server error:', error);
+        return res.status(500).json({
+            error: 'Server error',
+            message: error.message
+        });
+    }
+};
@@ -89,7 +89,7 @@ async function build() {
 
 function copyAssets() {
     // List of files to copy to dist
-    const assets = ['logo.png', 'api'];
+    const assets = ['logo.png', 'sw.js', 'share.html', 'api'];
 
     console.log(`\n📁 Copying assets...`);
 
@@ -0,0 +1,25 @@
+// Service worker for task reminder push notifications (see api/task-reminders.js)
+// Shows the notification the server pushed and focuses the app when it is clicked.
+
+self.addEventListener('push', event => {
+    const message = event.data ? event.data.json() : {};
+    event.waitUntil(self.registration.showNotification(message.title || 'TOMELON', {
+        body: message.body || '',
+        tag: message.tag,
+        renotify: !!message.tag,
+        requireInteraction: !!message.urgent,
+        icon: '/logo.png',
+        dir: 'rtl',
+        lang: 'he',
+        data: { url: message.url || '/' }
+    }));
+});
+
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+    event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+        const open = windows.find(client => client.url.startsWith(self.location.origin));
+        return open ? open.focus() : self.clients.openWindow(url);
+    }));
+});